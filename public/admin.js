@@ -0,0 +1,242 @@
+// Facilitator console: shows the live room and sends the facilitator's
+// actions to the admin API. The token stays in this tab only
+const ADMIN_TOKEN_KEY = 'interactionAtlasAdminToken';
+const REFRESH_INTERVAL = 2000;
+
+let adminToken = sessionStorage.getItem(ADMIN_TOKEN_KEY);
+let adminState = null; // last reply from /admin/api/state
+let clockOffset = 0; // our clock minus the server's
+let refreshTimer = null;
+
+async function adminRequest(method, route, body) {
+    const response = await fetch(`/admin/api/${route}`, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${adminToken}`,
+            ...(body && { 'Content-Type': 'application/json' })
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 401) signOut('That token was not accepted.');
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+}
+
+// Signing in
+function signOut(message) {
+    adminToken = null;
+    adminState = null;
+    sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    document.getElementById('adminSignInError').textContent = message || '';
+    document.getElementById('adminSignIn').classList.add('show');
+}
+
+async function signIn(token) {
+    adminToken = token;
+    try {
+        await refresh();
+    } catch (err) {
+        if (adminToken) signOut(err.message);
+        return;
+    }
+    sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+    document.getElementById('adminSignIn').classList.remove('show');
+    refreshTimer = setInterval(() => refresh().catch(() => {}), REFRESH_INTERVAL);
+}
+
+document.getElementById('adminSignInForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    signIn(document.getElementById('adminTokenInput').value);
+});
+
+document.getElementById('adminSignOut').addEventListener('click', () => signOut());
+
+// Actions
+async function runAction(route, body) {
+    try {
+        await adminRequest('POST', route, body);
+        await refresh();
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+document.querySelectorAll('[data-action]').forEach(button => {
+    button.addEventListener('click', () => {
+        if (button.dataset.confirm && !confirm(button.dataset.confirm)) return;
+        runAction(button.dataset.action);
+    });
+});
+
+document.getElementById('adminExtendForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runAction('session/extend', { minutes: Number(document.getElementById('adminExtendMinutes').value) });
+});
+
+document.getElementById('adminWipeForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const form = e.target;
+    const region = {};
+    ['x', 'y', 'width', 'height'].forEach(name => {
+        region[name] = Number(form.elements[name].value);
+    });
+    if (!confirm(`Wipe everything in ${region.width}×${region.height} at (${region.x}, ${region.y})?`)) return;
+    runAction('canvas/wipe', region);
+});
+
+document.getElementById('adminParticipants').addEventListener('click', (e) => {
+    const number = e.target.dataset.remove;
+    if (!number || !confirm(`Remove participant #${number} from the room?`)) return;
+    runAction(`participants/${number}/remove`);
+});
+
+// Showing the room
+async function refresh() {
+    adminState = await adminRequest('GET', 'state');
+    clockOffset = Date.now() - adminState.room.phase.now;
+    render();
+}
+
+function describePhase(phase, round) {
+    const names = {
+        lobby: 'Waiting to start',
+        open: 'Open',
+        voting: `Voting round ${round}`,
+        postVote: 'Between voting rounds',
+        sections: 'Private sections',
+        closing: 'Closing',
+        closed: 'Closed'
+    };
+    return names[phase] || phase;
+}
+
+function formatDuration(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// Server times as our local time of day
+function formatTime(serverTime) {
+    return new Date(serverTime + clockOffset).toLocaleTimeString();
+}
+
+function renderSession(room) {
+    const now = Date.now() - clockOffset;
+    const rows = [['Phase', describePhase(room.phase.phase, room.phase.round)]];
+    if (room.phase.next) {
+        rows.push(['Next', `${describePhase(room.phase.next.phase, room.phase.next.round)} in ${formatDuration(room.phase.next.at - now)}`]);
+    }
+    if (room.startTime) {
+        rows.push(['Running for', formatDuration(now - room.startTime)]);
+        rows.push(['Ends', `${formatTime(room.endsAt)}${room.extraTime ? ` (extended by ${Math.round(room.extraTime / 60000)} min)` : ''}`]);
+    }
+    rows.push(['Voting rounds', `${room.votingRound} of ${room.votingRoundCount}`]);
+    if (room.turnout) {
+        rows.push(['Turnout', `${room.turnout.voted} of ${room.turnout.eligible}, closes in ${formatDuration(room.votingClosesAt - now)}`]);
+    }
+    rows.push(['Canvas', `${room.canvas.items} of ${room.canvas.maxItems} items, ${room.canvas.points} of ${room.canvas.maxPoints} points`]);
+    rows.push(['Pending invites', room.pendingInvites]);
+
+    const list = document.getElementById('adminSession');
+    list.replaceChildren(...rows.flatMap(([term, value]) => {
+        const dt = document.createElement('dt');
+        const dd = document.createElement('dd');
+        dt.textContent = term;
+        dd.textContent = value;
+        return [dt, dd];
+    }));
+}
+
+function renderParticipants(room) {
+    const body = document.querySelector('#adminParticipants tbody');
+    body.replaceChildren(...room.participants.map(p => {
+        const row = document.createElement('tr');
+        [
+            `#${p.number}`,
+            p.connected ? 'Connected' : 'Reconnecting',
+            formatTime(p.joinedAt),
+            p.inPrivateSection ? 'Yes' : '',
+            p.usage.items,
+            p.usage.points
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            row.appendChild(cell);
+        });
+
+        const action = document.createElement('td');
+        const remove = document.createElement('button');
+        remove.textContent = 'Remove';
+        remove.dataset.remove = p.number;
+        action.appendChild(remove);
+        row.appendChild(action);
+        return row;
+    }));
+}
+
+function renderSections(room) {
+    const list = document.getElementById('adminSections');
+    list.replaceChildren(...room.sections.map(section => {
+        const item = document.createElement('li');
+        const { x, y, width, height } = section.region;
+        item.textContent = `Members ${section.members.map(n => `#${n}`).join(', ')}, ` +
+            `${Math.round(width)}×${Math.round(height)} at (${Math.round(x)}, ${Math.round(y)})`;
+        return item;
+    }));
+    if (room.sections.length === 0) list.textContent = 'None';
+}
+
+function renderLog(log) {
+    const list = document.getElementById('adminLog');
+    list.replaceChildren(...log.slice().reverse().map(entry => {
+        const { at, action, from, ...details } = entry;
+        const item = document.createElement('li');
+        const extra = Object.keys(details).length > 0 ? ` ${JSON.stringify(details)}` : '';
+        item.textContent = `${formatTime(at)} ${action}${extra} (${from})`;
+        return item;
+    }));
+    if (log.length === 0) list.textContent = 'No actions yet';
+}
+
+function render() {
+    if (!adminState) return;
+
+    const { room } = adminState;
+    document.getElementById('adminPhase').textContent = describePhase(room.phase.phase, room.phase.round);
+    document.getElementById('adminParticipantCount').textContent = room.participants.length;
+    document.getElementById('adminConnections').textContent = adminState.connections;
+    renderSession(room);
+    renderParticipants(room);
+    renderSections(room);
+    renderLog(adminState.log);
+
+    // Only what applies to the room as it is now can be pressed
+    const phase = room.phase.phase;
+    const active = ['open', 'voting', 'postVote', 'sections'].includes(phase);
+    const enabled = {
+        'voting/start': (phase === 'open' || phase === 'postVote') && room.votingRound < room.votingRoundCount,
+        'voting/end': phase === 'voting',
+        'voting/skip': phase === 'voting',
+        'close': active,
+        'reset': true
+    };
+    document.querySelectorAll('[data-action]').forEach(button => {
+        button.disabled = !enabled[button.dataset.action];
+    });
+    document.querySelector('#adminExtendForm button').disabled = !active;
+}
+
+// Countdowns tick between refreshes
+setInterval(() => {
+    if (adminState) renderSession(adminState.room);
+}, 1000);
+
+if (adminToken) {
+    signIn(adminToken);
+}
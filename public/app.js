@@ -1,6 +1,7 @@
 const socket = io();
 let participantNumber = null;
-let mode = 'draw'; // 'draw', 'text', 'erase'
+let authorId = null; // marks what we draw; seat numbers can be handed on, this can't
+let mode = 'draw'; // 'draw', 'text', 'erase', 'select', 'claim', or one of SHAPE_MODES
 let isDrawing = false;
 let canvas, ctx;
 let scale = 1;
@@ -11,14 +12,44 @@ let lastPanY = 0;
 let isPanning = false;
 let spaceKeyPressed = false;
 let canvasData = [];
+let canvasIndex = new SpatialIndex(); // the same items as canvasData, for hit-testing
 let drawingPaths = new Map();
+let liveStrokes = new Map(); // pathId -> time of its last point, for strokes still being drawn
+// Our stroke's points go out at most 60 times a second, well inside the
+// server's rate limit however fast the screen refreshes
+const STROKE_FLUSH_INTERVAL = 1000 / 60;
+let pendingStroke = null; // { pathId, points } of our stroke, waiting to be sent
+let strokeFlushTimer = null;
+let frameRequested = false; // a redraw is waiting for the next animation frame
 let selectedVotes = new Set();
 let availableParticipants = [];
 let selectedForSection = new Set();
 let currentPrivateSection = null;
+let sections = []; // { sectionId, region, members }
+const SHAPE_MODES = ['line', 'arrow', 'rect', 'ellipse'];
+let shapePreview = null; // shape item being dragged out, before it is sent
+let selectedIds = new Set(); // ids of our own items picked in select mode
+let selectDrag = null; // { kind: 'move' | 'resize' | 'lasso', ... } while dragging in select mode
+let pendingTransform = null; // move or resize shown until the server answers
+let claimStart = null;
+let claimRect = null;
+let modeBeforeClaim = 'draw';
+let outgoingInvite = null; // { inviteId, expiresAt } while our invitation is pending
+let incomingInvite = null; // { inviteId, expiresAt } while we are deciding on one
 let currentPathId = null;
-let lastEraseTime = 0;
 const ERASE_THROTTLE = 50;
+let pendingErase = null; // eraser touches waiting to be sent: { points, eraseRadius, precise, eraseId, removed, added }
+let eraseFlushTimer = null;
+let preciseErase = false; // cut out only the part of a stroke under the eraser
+let toolStyle = { ...DEFAULT_STYLE }; // colour, width, opacity and text size for new marks
+let eraseId = null; // groups the erase events of one drag so they undo together
+let rules = null; // room rules sent by the server when we join
+const SESSION_KEY = 'interactionAtlasSession'; // signed token that reclaims our seat after a dropped connection
+let sectionsUnlocked = false; // private sections open up after the last voting round
+let roomPhase = null; // { phase, round, next: { phase, round, at } } from the server, with at on our clock
+let voteReceipt = null; // our ballot in the open round, when voting is verifiable
+let votingClosesAt = null; // when the open round closes, by our clock
+let sectionModalMode = 'create'; // 'create' a new section or 'invite' into ours
 let lastTouchDistance = null;
 let initialScale = 1;
 let initialPanX = 0;
@@ -90,6 +121,35 @@ function initCanvas() {
             spaceKeyPressed = true;
             e.preventDefault();
         }
+        if (e.key === 'Escape' && mode === 'claim') {
+            isDrawing = false;
+            endClaimMode();
+        }
+        
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac), leaving text fields their own undo
+        const typing = ['INPUT', 'TEXTAREA'].includes(document.activeElement.tagName);
+        if (mode === 'select' && !typing) {
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                deleteSelection();
+            } else if (e.key === 'Escape') {
+                selectedIds.clear();
+                redrawCanvas();
+            }
+        }
+        if ((e.ctrlKey || e.metaKey) && !typing) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && e.shiftKey) {
+                e.preventDefault();
+                redo();
+            } else if (key === 'z') {
+                e.preventDefault();
+                undo();
+            } else if (key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        }
     });
     
     document.addEventListener('keyup', (e) => {
@@ -163,20 +223,27 @@ function handleMouseDown(e) {
     const coords = getCanvasCoordinates(e);
     
     if (mode === 'draw') {
+        if (!canActAt(coords.x, coords.y)) return;
         isDrawing = true;
         currentPathId = `${socket.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        liveStrokes.set(currentPathId, Date.now());
         
-        const firstPoint = { x: coords.x, y: coords.y };
+        const firstPoint = quantisePoint(coords);
         drawingPaths.set(currentPathId, {
             points: [firstPoint],
             participantNumber: participantNumber
         });
         
-        canvasData.push({
+        addItem({
             type: 'draw',
             pathId: currentPathId,
             pathPoints: [firstPoint],
-            participantNumber: participantNumber
+            participantNumber: participantNumber,
+            authorId: authorId,
+            sectionId: sectionAt(coords.x, coords.y),
+            color: toolStyle.color,
+            width: toolStyle.width,
+            opacity: toolStyle.opacity
         });
         
         redrawCanvas();
@@ -184,15 +251,31 @@ function handleMouseDown(e) {
         socket.emit('canvasAction', {
             type: 'draw',
             pathId: currentPathId,
-            x: coords.x,
-            y: coords.y,
-            action: 'start'
-        });
+            x: firstPoint.x,
+            y: firstPoint.y,
+            action: 'start',
+            color: toolStyle.color,
+            width: toolStyle.width,
+            opacity: toolStyle.opacity
+        }, confirmItem(currentPathId));
     } else if (mode === 'text') {
+        if (!canActAt(coords.x, coords.y)) return;
         showTextInput(coords.x, coords.y);
     } else if (mode === 'erase') {
         isDrawing = true;
+        flushErase();
+        eraseId = `${socket.id}_${Date.now()}`;
         eraseAt(coords.x, coords.y);
+    } else if (mode === 'claim') {
+        isDrawing = true;
+        startClaim(coords);
+    } else if (SHAPE_MODES.includes(mode)) {
+        if (!canActAt(coords.x, coords.y)) return;
+        isDrawing = true;
+        startShape(coords);
+    } else if (mode === 'select') {
+        isDrawing = true;
+        startSelection(coords, e.shiftKey);
     }
 }
 
@@ -203,7 +286,7 @@ function handleMouseMove(e) {
         const coords = getCanvasCoordinates(e);
         const path = drawingPaths.get(currentPathId);
         
-        if (path && path.points.length > 0) {
+        if (path && path.points.length > 0 && isInPathScope(currentPathId, coords)) {
             const lastPoint = path.points[path.points.length - 1];
             const dx = coords.x - lastPoint.x;
             const dy = coords.y - lastPoint.y;
@@ -211,29 +294,26 @@ function handleMouseMove(e) {
             
             // Only add point if moved significantly
             if (dist > 0.5) {
-                const newPoint = { x: coords.x, y: coords.y };
+                const newPoint = quantisePoint(coords);
                 path.points.push(newPoint);
                 
-                const canvasItem = canvasData.find(item => item.pathId === currentPathId);
-                if (canvasItem) {
-                    if (!canvasItem.pathPoints) canvasItem.pathPoints = [];
-                    canvasItem.pathPoints.push(newPoint);
-                }
+                const canvasItem = canvasIndex.get(currentPathId);
+                if (canvasItem) addPathPoint(canvasItem, newPoint);
                 
                 redrawCanvas();
                 
-                socket.emit('canvasAction', {
-                    type: 'draw',
-                    pathId: currentPathId,
-                    x: coords.x,
-                    y: coords.y,
-                    action: 'move'
-                });
+                queueStrokePoint(newPoint);
             }
         }
     } else if (mode === 'erase' && isDrawing) {
         const coords = getCanvasCoordinates(e);
         eraseAt(coords.x, coords.y);
+    } else if (mode === 'claim' && isDrawing) {
+        updateClaim(getCanvasCoordinates(e));
+    } else if (SHAPE_MODES.includes(mode) && isDrawing) {
+        updateShape(getCanvasCoordinates(e));
+    } else if (mode === 'select' && isDrawing) {
+        updateSelection(getCanvasCoordinates(e));
     }
 }
 
@@ -243,33 +323,41 @@ function handleMouseUp(e) {
         const coords = getCanvasCoordinates(e);
         const path = drawingPaths.get(currentPathId);
         
-        if (path && path.points.length > 0) {
+        if (path && path.points.length > 0 && isInPathScope(currentPathId, coords)) {
             const lastPoint = path.points[path.points.length - 1];
-            if (Math.abs(coords.x - lastPoint.x) > 0.01 || Math.abs(coords.y - lastPoint.y) > 0.01) {
-                const finalPoint = { x: coords.x, y: coords.y };
+            const finalPoint = quantisePoint(coords);
+            if (finalPoint.x !== lastPoint.x || finalPoint.y !== lastPoint.y) {
                 path.points.push(finalPoint);
                 
-                const canvasItem = canvasData.find(item => item.pathId === currentPathId);
-                if (canvasItem) {
-                    if (!canvasItem.pathPoints) canvasItem.pathPoints = [];
-                    canvasItem.pathPoints.push(finalPoint);
-                }
+                const canvasItem = canvasIndex.get(currentPathId);
+                if (canvasItem) addPathPoint(canvasItem, finalPoint);
+                queueStrokePoint(finalPoint);
             }
             
             redrawCanvas();
         }
         
+        // The last points go out before the end
+        flushStrokePoints();
         socket.emit('canvasAction', {
             type: 'draw',
             pathId: currentPathId,
-            x: coords.x,
-            y: coords.y,
             action: 'end'
         });
         
+        liveStrokes.delete(currentPathId);
         currentPathId = null;
     } else if (mode === 'erase' && isDrawing) {
         isDrawing = false;
+    } else if (mode === 'claim' && isDrawing) {
+        isDrawing = false;
+        finishClaim();
+    } else if (SHAPE_MODES.includes(mode) && isDrawing) {
+        isDrawing = false;
+        finishShape();
+    } else if (mode === 'select' && isDrawing) {
+        isDrawing = false;
+        finishSelection();
     }
 }
 
@@ -282,8 +370,8 @@ function handleTouchStart(e) {
         lastTouchX = touch.clientX;
         lastTouchY = touch.clientY;
         
-        // If in draw/erase/text mode, handle drawing directly
-        if (mode === 'draw' || mode === 'erase' || mode === 'text') {
+        // If in draw/erase/text/claim mode, handle drawing directly
+        if (mode === 'draw' || mode === 'erase' || mode === 'text' || mode === 'claim' || mode === 'select' || SHAPE_MODES.includes(mode)) {
             e.preventDefault();
             // Create a synthetic event object for getCanvasCoordinates
             const syntheticEvent = {
@@ -294,20 +382,27 @@ function handleTouchStart(e) {
             const coords = getCanvasCoordinates(syntheticEvent);
             
             if (mode === 'draw') {
+                if (!canActAt(coords.x, coords.y)) return;
                 isDrawing = true;
                 currentPathId = `${socket.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+                liveStrokes.set(currentPathId, Date.now());
                 
-                const firstPoint = { x: coords.x, y: coords.y };
+                const firstPoint = quantisePoint(coords);
                 drawingPaths.set(currentPathId, {
                     points: [firstPoint],
                     participantNumber: participantNumber
                 });
                 
-                canvasData.push({
+                addItem({
                     type: 'draw',
                     pathId: currentPathId,
                     pathPoints: [firstPoint],
-                    participantNumber: participantNumber
+                    participantNumber: participantNumber,
+                    authorId: authorId,
+                    sectionId: sectionAt(coords.x, coords.y),
+                    color: toolStyle.color,
+                    width: toolStyle.width,
+                    opacity: toolStyle.opacity
                 });
                 
                 redrawCanvas();
@@ -315,15 +410,31 @@ function handleTouchStart(e) {
                 socket.emit('canvasAction', {
                     type: 'draw',
                     pathId: currentPathId,
-                    x: coords.x,
-                    y: coords.y,
-                    action: 'start'
-                });
+                    x: firstPoint.x,
+                    y: firstPoint.y,
+                    action: 'start',
+                    color: toolStyle.color,
+                    width: toolStyle.width,
+                    opacity: toolStyle.opacity
+                }, confirmItem(currentPathId));
             } else if (mode === 'text') {
+                if (!canActAt(coords.x, coords.y)) return;
                 showTextInput(coords.x, coords.y);
             } else if (mode === 'erase') {
                 isDrawing = true;
+                flushErase();
+                eraseId = `${socket.id}_${Date.now()}`;
                 eraseAt(coords.x, coords.y);
+            } else if (mode === 'claim') {
+                isDrawing = true;
+                startClaim(coords);
+            } else if (SHAPE_MODES.includes(mode)) {
+                if (!canActAt(coords.x, coords.y)) return;
+                isDrawing = true;
+                startShape(coords);
+            } else if (mode === 'select') {
+                isDrawing = true;
+                startSelection(coords, false);
             }
         } else {
             // Not in draw mode - allow panning
@@ -335,6 +446,8 @@ function handleTouchStart(e) {
         isTouchPanning = false;
         isDrawing = false;
         currentPathId = null;
+        shapePreview = null;
+        selectDrag = null;
         
         const touch1 = e.touches[0];
         const touch2 = e.touches[1];
@@ -374,31 +487,22 @@ function handleTouchMove(e) {
             const coords = getCanvasCoordinates(syntheticEvent);
             const path = drawingPaths.get(currentPathId);
             
-            if (path && path.points.length > 0) {
+            if (path && path.points.length > 0 && isInPathScope(currentPathId, coords)) {
                 const lastPoint = path.points[path.points.length - 1];
                 const dx = coords.x - lastPoint.x;
                 const dy = coords.y - lastPoint.y;
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 
                 if (dist > 0.5) {
-                    const newPoint = { x: coords.x, y: coords.y };
+                    const newPoint = quantisePoint(coords);
                     path.points.push(newPoint);
                     
-                    const canvasItem = canvasData.find(item => item.pathId === currentPathId);
-                    if (canvasItem) {
-                        if (!canvasItem.pathPoints) canvasItem.pathPoints = [];
-                        canvasItem.pathPoints.push(newPoint);
-                    }
+                    const canvasItem = canvasIndex.get(currentPathId);
+                    if (canvasItem) addPathPoint(canvasItem, newPoint);
                     
                     redrawCanvas();
                     
-                    socket.emit('canvasAction', {
-                        type: 'draw',
-                        pathId: currentPathId,
-                        x: coords.x,
-                        y: coords.y,
-                        action: 'move'
-                    });
+                    queueStrokePoint(newPoint);
                 }
             }
         } else if (mode === 'erase' && isDrawing) {
@@ -410,6 +514,30 @@ function handleTouchMove(e) {
             };
             const coords = getCanvasCoordinates(syntheticEvent);
             eraseAt(coords.x, coords.y);
+        } else if (mode === 'claim' && isDrawing) {
+            e.preventDefault();
+            const syntheticEvent = {
+                touches: [touch],
+                clientX: touch.clientX,
+                clientY: touch.clientY
+            };
+            updateClaim(getCanvasCoordinates(syntheticEvent));
+        } else if (SHAPE_MODES.includes(mode) && isDrawing) {
+            e.preventDefault();
+            const syntheticEvent = {
+                touches: [touch],
+                clientX: touch.clientX,
+                clientY: touch.clientY
+            };
+            updateShape(getCanvasCoordinates(syntheticEvent));
+        } else if (mode === 'select' && isDrawing) {
+            e.preventDefault();
+            const syntheticEvent = {
+                touches: [touch],
+                clientX: touch.clientX,
+                clientY: touch.clientY
+            };
+            updateSelection(getCanvasCoordinates(syntheticEvent));
         } else if (isTouchPanning) {
             e.preventDefault();
             const dx = touch.clientX - lastTouchX;
@@ -469,35 +597,43 @@ function handleTouchEnd(e) {
             const coords = getCanvasCoordinates(syntheticEvent);
             const path = drawingPaths.get(currentPathId);
             
-            if (path && path.points.length > 0) {
+            if (path && path.points.length > 0 && isInPathScope(currentPathId, coords)) {
                 const lastPoint = path.points[path.points.length - 1];
-                if (Math.abs(coords.x - lastPoint.x) > 0.01 || Math.abs(coords.y - lastPoint.y) > 0.01) {
-                    const finalPoint = { x: coords.x, y: coords.y };
+                const finalPoint = quantisePoint(coords);
+                if (finalPoint.x !== lastPoint.x || finalPoint.y !== lastPoint.y) {
                     path.points.push(finalPoint);
                     
-                    const canvasItem = canvasData.find(item => item.pathId === currentPathId);
-                    if (canvasItem) {
-                        if (!canvasItem.pathPoints) canvasItem.pathPoints = [];
-                        canvasItem.pathPoints.push(finalPoint);
-                    }
+                    const canvasItem = canvasIndex.get(currentPathId);
+                    if (canvasItem) addPathPoint(canvasItem, finalPoint);
+                    queueStrokePoint(finalPoint);
                 }
                 
                 redrawCanvas();
             }
             
+            // The last points go out before the end
+            flushStrokePoints();
             socket.emit('canvasAction', {
                 type: 'draw',
                 pathId: currentPathId,
-                x: coords.x,
-                y: coords.y,
                 action: 'end'
             });
         }
         
         isDrawing = false;
+        liveStrokes.delete(currentPathId);
         currentPathId = null;
     } else if (mode === 'erase' && isDrawing) {
         isDrawing = false;
+    } else if (mode === 'claim' && isDrawing) {
+        isDrawing = false;
+        finishClaim();
+    } else if (SHAPE_MODES.includes(mode) && isDrawing) {
+        isDrawing = false;
+        finishShape();
+    } else if (mode === 'select' && isDrawing) {
+        isDrawing = false;
+        finishSelection();
     }
     
     isTouchPanning = false;
@@ -590,234 +726,1015 @@ function submitText(x, y, text) {
         x,
         y,
         text,
-        fontSize: 16
+        color: toolStyle.color,
+        opacity: toolStyle.opacity,
+        fontSize: toolStyle.fontSize
+    });
+}
+
+// canvasData and canvasIndex always change together
+function addItem(item) {
+    canvasData.push(item);
+    canvasIndex.add(item);
+    invalidateTiles(item);
+}
+
+// Strokes and shapes are shown before the server has accepted them. One it
+// refuses, for a full quota, someone else's section or a bad request, is taken
+// back off our canvas, as nobody else will ever see it
+function confirmItem(id) {
+    return response => {
+        if (response && response.success === false) withdrawItem(id);
+    };
+}
+
+function withdrawItem(id) {
+    const item = canvasIndex.get(id);
+    if (!item) return;
+
+    canvasData = canvasData.filter(other => other !== item);
+    canvasIndex.remove(id);
+    invalidateTiles(item);
+    drawingPaths.delete(id);
+    liveStrokes.delete(id);
+    if (pendingStroke && pendingStroke.pathId === id) pendingStroke = null;
+    if (currentPathId === id) {
+        // The rest of the stroke would be refused too
+        isDrawing = false;
+        currentPathId = null;
+    }
+    redrawCanvas();
+}
+
+function addPathPoint(item, point) {
+    if (!item.pathPoints) item.pathPoints = [];
+    item.pathPoints.push(point);
+    canvasIndex.extend(item, point);
+}
+
+// Points of the stroke we're drawing go out in batches
+function queueStrokePoint(point) {
+    if (!pendingStroke) pendingStroke = { pathId: currentPathId, points: [] };
+    pendingStroke.points.push(point);
+    
+    if (!strokeFlushTimer) {
+        strokeFlushTimer = setTimeout(flushStrokePoints, STROKE_FLUSH_INTERVAL);
+    }
+}
+
+function flushStrokePoints() {
+    clearTimeout(strokeFlushTimer);
+    strokeFlushTimer = null;
+    if (!pendingStroke) return;
+    
+    const { pathId, points } = pendingStroke;
+    socket.emit('strokePoints', { pathId, points: encodePoints(points) }, response => {
+        if (response && response.success === false) dropStrokePoints(pathId, points);
     });
+    pendingStroke = null;
+}
+
+// A batch the server refused never reached anyone else, so it comes off our
+// copy of the stroke too. Points it only partly took are put right when the
+// stroke ends
+function dropStrokePoints(pathId, points) {
+    const refused = new Set(points);
+    const path = drawingPaths.get(pathId);
+    if (path) path.points = path.points.filter(point => !refused.has(point));
+    
+    const item = canvasIndex.get(pathId);
+    if (!item) return;
+    invalidateTiles(item);
+    item.pathPoints = (item.pathPoints || []).filter(point => !refused.has(point));
+    canvasIndex.update(item);
+    invalidateTiles(item);
+    redrawCanvas();
 }
 
 function eraseAt(x, y) {
     const eraseRadius = 20;
-    const itemsToErase = [];
     
-    canvasData.forEach((item, index) => {
-        if (item.type === 'text') {
-            const distance = Math.sqrt(Math.pow(item.x - x, 2) + Math.pow(item.y - y, 2));
-            if (distance < eraseRadius) {
-                itemsToErase.push(index);
-            }
-        } else if (item.type === 'draw' && item.pathId) {
-            let points = null;
-            const path = drawingPaths.get(item.pathId);
-            if (path && path.points.length > 0) {
-                points = path.points;
-            } else if (item.pathPoints && item.pathPoints.length > 0) {
-                points = item.pathPoints;
-            }
-            
-            if (points) {
-                for (let i = 0; i < points.length; i++) {
-                    const distance = Math.sqrt(Math.pow(points[i].x - x, 2) + Math.pow(points[i].y - y, 2));
-                    if (distance < eraseRadius) {
-                        itemsToErase.push(index);
-                        break;
-                    }
-                }
-            }
-        }
-    });
+    // The server rejects erases outside our own scope, so don't predict them
+    const touch = eraseItems(canvasIndex.near(x, y, eraseRadius), x, y, eraseRadius, preciseErase, canModifyItem);
+    if (touch.removed.length === 0) return;
     
-    itemsToErase.reverse().forEach(index => {
-        const item = canvasData[index];
-        if (item.pathId) {
-            drawingPaths.delete(item.pathId);
-        }
-        canvasData.splice(index, 1);
+    const removedIds = new Set(touch.removed.map(item => item.pathId || item.id));
+    canvasData = canvasData.filter(item => !removedIds.has(item.pathId || item.id));
+    touch.removed.forEach(invalidateTiles);
+    removedIds.forEach(id => {
+        canvasIndex.remove(id);
+        drawingPaths.delete(id);
     });
+    touch.pieces.forEach(addItem);
+    redrawCanvas();
     
-    if (itemsToErase.length > 0) {
-        redrawCanvas();
-        
-        const now = Date.now();
-        if (now - lastEraseTime > ERASE_THROTTLE) {
-            socket.emit('erase', { x, y, eraseRadius });
-            lastEraseTime = now;
+    // Every touch that changed our copy is sent, in order, so the server
+    // ends up with the same result. They go in batches to limit traffic
+    if (!pendingErase) {
+        pendingErase = { points: [], eraseRadius, precise: preciseErase, eraseId, removed: new Map(), added: new Map() };
+    }
+    pendingErase.points.push({ x, y });
+    
+    // What the batch changed, as the server works it out, to put back if it is refused
+    touch.removed.forEach(item => {
+        const id = item.pathId || item.id;
+        if (pendingErase.added.has(id)) {
+            pendingErase.added.delete(id);
+        } else {
+            pendingErase.removed.set(id, item);
         }
+    });
+    touch.pieces.forEach(item => pendingErase.added.set(item.pathId, item));
+    if (!eraseFlushTimer) {
+        eraseFlushTimer = setTimeout(flushErase, ERASE_THROTTLE);
     }
 }
 
-function redrawCanvas() {
-    if (!canvas || !ctx) return;
-    
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
-    // Apply transform: translate then scale
-    // This means world point (x, y) becomes ((x + panX) * scale, (y + panY) * scale) on screen
-    ctx.save();
-    ctx.translate(panX, panY);
-    ctx.scale(scale, scale);
-    
-    // Draw all paths
-    canvasData.forEach(item => {
-        if (item.type === 'draw' && item.pathId) {
-            let points = null;
-            const path = drawingPaths.get(item.pathId);
-            if (path && path.points.length > 0) {
-                points = path.points;
-            } else if (item.pathPoints && item.pathPoints.length > 0) {
-                points = item.pathPoints;
-            }
-            
-            if (points && points.length > 0) {
-                ctx.beginPath();
-                ctx.moveTo(points[0].x, points[0].y);
-                
-                for (let i = 1; i < points.length; i++) {
-                    ctx.lineTo(points[i].x, points[i].y);
-                }
-                
-                ctx.strokeStyle = '#e0e0e0';
-                ctx.lineWidth = 2;
-                ctx.lineCap = 'round';
-                ctx.lineJoin = 'round';
-                ctx.stroke();
-            }
-        } else if (item.type === 'text') {
-            ctx.fillStyle = '#e0e0e0';
-            ctx.font = `${item.fontSize || 16}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif`;
-            ctx.fillText(item.text, item.x, item.y);
-        }
+function flushErase() {
+    clearTimeout(eraseFlushTimer);
+    eraseFlushTimer = null;
+    if (!pendingErase) return;
+    
+    const { removed, added, ...erase } = pendingErase;
+    socket.emit('erase', erase, response => {
+        if (response && response.success === false) revertErase(removed, added);
+    });
+    pendingErase = null;
+}
+
+// An erase the server refused never happened: its pieces come off our canvas
+// and what it took off goes back
+function revertErase(removed, added) {
+    added.forEach((item, id) => withdrawItem(id));
+    removed.forEach((item, id) => {
+        if (!canvasIndex.get(id)) addItem(item);
+    });
+    redrawCanvas();
+}
+
+// Returns the id of the private section whose region contains the point, or null
+function sectionAt(x, y) {
+    const section = sections.find(s =>
+        x >= s.region.x && x <= s.region.x + s.region.width &&
+        y >= s.region.y && y <= s.region.y + s.region.height
+    );
+    return section ? section.sectionId : null;
+}
+
+// Anyone can act on the open canvas; inside a section's region only its members can
+function canActAt(x, y) {
+    const sectionId = sectionAt(x, y);
+    return !sectionId || sectionId === currentPrivateSection;
+}
+
+// A path cannot cross into or out of a section's region
+function isInPathScope(pathId, coords) {
+    const item = canvasIndex.get(pathId);
+    return !!item && sectionAt(coords.x, coords.y) === (item.sectionId || null);
+}
+
+// Section content is view-only for non-members while the section exists
+function canModifyItem(item) {
+    if (!item.sectionId || !sections.some(s => s.sectionId === item.sectionId)) return true;
+    return item.sectionId === currentPrivateSection;
+}
+
+function drawSections() {
+    sections.forEach(section => {
+        drawSectionRegion(ctx, section, scale, section.sectionId === currentPrivateSection);
     });
     
-    ctx.restore();
+    // Region being claimed for a new section
+    if (claimRect) {
+        ctx.setLineDash([4 / scale, 4 / scale]);
+        ctx.strokeStyle = '#3d7a37';
+        ctx.lineWidth = 2 / scale;
+        ctx.strokeRect(claimRect.x, claimRect.y, claimRect.width, claimRect.height);
+        ctx.setLineDash([]);
+    }
 }
 
-// Socket event handlers
-socket.on('joined', (data) => {
-    participantNumber = data.number;
-    canvasData = data.canvasData || [];
+// Claiming a region for a new private section
+function startClaim(coords) {
+    claimStart = coords;
+    claimRect = { x: coords.x, y: coords.y, width: 0, height: 0 };
+    redrawCanvas();
+}
+
+function updateClaim(coords) {
+    if (!claimStart) return;
+    claimRect = {
+        x: Math.min(claimStart.x, coords.x),
+        y: Math.min(claimStart.y, coords.y),
+        width: Math.abs(coords.x - claimStart.x),
+        height: Math.abs(coords.y - claimStart.y)
+    };
+    redrawCanvas();
+}
+
+function finishClaim() {
+    const region = claimRect;
+    endClaimMode();
+    if (!region) return;
     
-    canvasData.forEach(item => {
-        if (item.type === 'draw' && item.pathId && item.pathPoints) {
-            drawingPaths.set(item.pathId, {
-                points: item.pathPoints,
-                participantNumber: item.participantNumber
-            });
+    socket.emit('createPrivateSection', {
+        inviteeNumbers: Array.from(selectedForSection),
+        region
+    }, (response) => {
+        if (response.success) {
+            outgoingInvite = { inviteId: response.inviteId, expiresAt: response.expiresAt };
+            showInviteStatus(response.responses);
+        } else {
+            alert('Failed to create private section. The area must be between 100 and 2000 units on each side and must not overlap another section.');
         }
     });
+}
+
+function enterClaimMode() {
+    modeBeforeClaim = mode === 'claim' ? modeBeforeClaim : mode;
+    mode = 'claim';
+    canvas.className = '';
+    updateModeButtons();
+    document.getElementById('claimHint').style.display = 'block';
+}
+
+function endClaimMode() {
+    claimStart = null;
+    claimRect = null;
+    mode = modeBeforeClaim;
+    canvas.className = mode === 'text' ? 'text-mode' : mode === 'erase' ? 'erase-mode' : mode === 'select' ? 'select-mode' : '';
+    updateModeButtons();
+    document.getElementById('claimHint').style.display = 'none';
+    redrawCanvas();
+}
+
+// Shapes: lines, arrows, rectangles and ellipses, stored as two corners
+function startShape(coords) {
+    shapePreview = {
+        type: 'shape',
+        shape: mode,
+        id: `${socket.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        x1: coords.x,
+        y1: coords.y,
+        x2: coords.x,
+        y2: coords.y,
+        participantNumber: participantNumber,
+        authorId: authorId,
+        sectionId: sectionAt(coords.x, coords.y),
+        color: toolStyle.color,
+        width: toolStyle.width,
+        opacity: toolStyle.opacity
+    };
+    redrawCanvas();
+}
+
+function updateShape(coords) {
+    if (!shapePreview) return;
+    shapePreview.x2 = coords.x;
+    shapePreview.y2 = coords.y;
+    redrawCanvas();
+}
+
+function finishShape() {
+    const shape = shapePreview;
+    shapePreview = null;
+    if (!shape) return;
     
-    document.getElementById('participantNumber').textContent = data.number;
-    document.getElementById('joinModal').classList.remove('show');
-    document.getElementById('mainInterface').style.display = 'flex';
-    
-    if (!canvas) {
-        initCanvas();
+    // A click without a drag makes no shape
+    if (Math.abs(shape.x2 - shape.x1) < 2 && Math.abs(shape.y2 - shape.y1) < 2) {
+        redrawCanvas();
+        return;
     }
-    
-    setTimeout(() => {
-        resizeCanvas();
+    if (!canPlaceShape(shape)) {
         redrawCanvas();
-    }, 100);
+        return;
+    }
     
-    updateParticipantCount(data.roomState.participants.length);
+    addItem(shape);
+    redrawCanvas();
     
-    if (data.roomState.roomActive && data.roomState.timeElapsed) {
-        roomStartTime = Date.now() - data.roomState.timeElapsed;
-    } else if (data.roomState.roomActive) {
-        roomStartTime = Date.now();
+    socket.emit('canvasAction', {
+        type: 'shape',
+        shape: shape.shape,
+        id: shape.id,
+        x1: shape.x1,
+        y1: shape.y1,
+        x2: shape.x2,
+        y2: shape.y2,
+        color: shape.color,
+        width: shape.width,
+        opacity: shape.opacity
+    }, confirmItem(shape.id));
+}
+
+// Like paths, a shape can't cross a section's edge: it sits wholly inside our
+// own section or wholly on open canvas. The server applies the same rule
+function canPlaceShape(shape) {
+    const sectionId = sectionAt(shape.x1, shape.y1);
+    if (sectionId) {
+        return sectionId === currentPrivateSection && sectionAt(shape.x2, shape.y2) === sectionId;
+    }
+    const bounds = shapeBounds(shape);
+    return !sections.some(s =>
+        s.region.x < bounds.x + bounds.width && bounds.x < s.region.x + s.region.width &&
+        s.region.y < bounds.y + bounds.height && bounds.y < s.region.y + s.region.height
+    );
+}
+
+// Select mode: picking, moving, resizing and deleting our own items. The
+// server checks every change against authorship and section rules
+function isSelectable(item) {
+    return item.authorId === authorId && canModifyItem(item);
+}
+
+function getSelectedItems() {
+    return canvasData.filter(item => selectedIds.has(item.pathId || item.id) && isSelectable(item));
+}
+
+// Corner handles of the selection's bounding box; each resizes about the opposite corner
+function getSelectionHandles(bounds) {
+    return [
+        { x: bounds.minX, y: bounds.minY, originX: bounds.maxX, originY: bounds.maxY },
+        { x: bounds.maxX, y: bounds.minY, originX: bounds.minX, originY: bounds.maxY },
+        { x: bounds.maxX, y: bounds.maxY, originX: bounds.minX, originY: bounds.minY },
+        { x: bounds.minX, y: bounds.maxY, originX: bounds.maxX, originY: bounds.minY }
+    ];
+}
+
+function startSelection(coords, additive) {
+    const selected = getSelectedItems();
+    const bounds = selected.length > 0 ? getItemsExtent(selected) : null;
+    
+    if (bounds) {
+        const handle = getSelectionHandles(bounds).find(h => Math.hypot(h.x - coords.x, h.y - coords.y) < 8 / scale);
+        if (handle) {
+            selectDrag = { kind: 'resize', handle };
+            return;
+        }
     }
     
+    // Topmost of our own items under the pointer
+    const radius = 10 / scale;
+    const hit = canvasIndex.near(coords.x, coords.y, radius).reverse().find(item => isSelectable(item) && itemNear(item, coords.x, coords.y, radius));
+    const insideSelection = bounds &&
+        coords.x >= bounds.minX && coords.x <= bounds.maxX &&
+        coords.y >= bounds.minY && coords.y <= bounds.maxY;
+    
+    if (hit && additive) {
+        const id = hit.pathId || hit.id;
+        if (selectedIds.has(id)) {
+            selectedIds.delete(id);
+        } else {
+            selectedIds.add(id);
+        }
+    } else if (hit || insideSelection) {
+        if (hit && !selectedIds.has(hit.pathId || hit.id)) {
+            selectedIds = new Set([hit.pathId || hit.id]);
+        }
+        selectDrag = { kind: 'move', start: coords };
+    } else {
+        if (!additive) selectedIds.clear();
+        selectDrag = { kind: 'lasso', points: [coords] };
+    }
     redrawCanvas();
-});
+}
 
-socket.on('joinFailed', (data) => {
-    if (data.reason === 'age_verification_failed') {
-        alert('You must be 18 or older to join.');
-        window.location.reload();
+function updateSelection(coords) {
+    if (!selectDrag) return;
+    
+    if (selectDrag.kind === 'lasso') {
+        selectDrag.points.push(coords);
+    } else if (selectDrag.kind === 'move') {
+        selectDrag.transform = {
+            dx: coords.x - selectDrag.start.x,
+            dy: coords.y - selectDrag.start.y,
+            scaleX: 1,
+            scaleY: 1,
+            originX: 0,
+            originY: 0
+        };
     } else {
-        alert('Unable to join: Room is full or has already started.');
-        window.location.reload();
+        const { handle } = selectDrag;
+        const scaleFor = (pointer, corner, origin) => corner === origin
+            ? 1
+            : Math.max(0.05, Math.min(20, (pointer - origin) / (corner - origin)));
+        selectDrag.transform = {
+            dx: 0,
+            dy: 0,
+            scaleX: scaleFor(coords.x, handle.x, handle.originX),
+            scaleY: scaleFor(coords.y, handle.y, handle.originY),
+            originX: handle.originX,
+            originY: handle.originY
+        };
     }
-});
+    redrawCanvas();
+}
 
-socket.on('canvasUpdate', (action) => {
-    if (action.type === 'draw' && action.pathId) {
-        if (!drawingPaths.has(action.pathId)) {
-            drawingPaths.set(action.pathId, {
-                points: [],
-                participantNumber: action.participantNumber
+function finishSelection() {
+    const drag = selectDrag;
+    selectDrag = null;
+    if (!drag) return;
+    
+    if (drag.kind === 'lasso') {
+        // Items wholly inside the lasso join the selection
+        if (drag.points.length > 2) {
+            const lasso = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+            drag.points.forEach(p => {
+                lasso.minX = Math.min(lasso.minX, p.x);
+                lasso.minY = Math.min(lasso.minY, p.y);
+                lasso.maxX = Math.max(lasso.maxX, p.x);
+                lasso.maxY = Math.max(lasso.maxY, p.y);
+            });
+            canvasIndex.query(lasso).forEach(item => {
+                if (isSelectable(item) && getOutlinePoints(item).every(p => pointInPolygon(p, drag.points))) {
+                    selectedIds.add(item.pathId || item.id);
+                }
             });
-            const existingItem = canvasData.find(item => item.pathId === action.pathId);
-            if (!existingItem) {
-                canvasData.push({
-                    ...action,
-                    pathPoints: []
-                });
-            }
-        }
-        const path = drawingPaths.get(action.pathId);
-        if (action.action === 'start' || action.action === 'move') {
-            path.points.push({ x: action.x, y: action.y });
-            const canvasItem = canvasData.find(item => item.pathId === action.pathId);
-            if (canvasItem) {
-                if (!canvasItem.pathPoints) canvasItem.pathPoints = [];
-                canvasItem.pathPoints.push({ x: action.x, y: action.y });
-            }
         }
         redrawCanvas();
-    } else if (action.type === 'text') {
-        const existingText = canvasData.find(item => 
-            item.type === 'text' && 
-            item.x === action.x && 
-            item.y === action.y && 
-            item.text === action.text
-        );
-        if (!existingText) {
-            canvasData.push(action);
-        }
+        return;
+    }
+    
+    const transform = drag.transform;
+    if (!transform || (transform.dx === 0 && transform.dy === 0 && transform.scaleX === 1 && transform.scaleY === 1)) {
         redrawCanvas();
+        return;
     }
-});
-
-socket.on('canvasErase', (data) => {
-    const eraseRadius = data.eraseRadius || 20;
-    const itemsToRemove = [];
     
-    canvasData.forEach((item, index) => {
-        if (item.type === 'text') {
-            const distance = Math.sqrt(Math.pow(item.x - data.x, 2) + Math.pow(item.y - data.y, 2));
-            if (distance < eraseRadius) {
-                itemsToRemove.push(index);
-            }
-        } else if (item.type === 'draw' && item.pathId) {
-            let points = null;
-            const path = drawingPaths.get(item.pathId);
-            if (path && path.points.length > 0) {
-                points = path.points;
-            } else if (item.pathPoints && item.pathPoints.length > 0) {
-                points = item.pathPoints;
-            }
-            
-            if (points) {
-                for (let i = 0; i < points.length; i++) {
-                    const distance = Math.sqrt(Math.pow(points[i].x - data.x, 2) + Math.pow(points[i].y - data.y, 2));
-                    if (distance < eraseRadius) {
-                        itemsToRemove.push(index);
-                        break;
-                    }
-                }
-            }
-        }
+    // Keep showing the result until the server answers; a rejected change snaps back
+    pendingTransform = transform;
+    socket.emit('transformItems', {
+        ids: getSelectedItems().map(item => item.pathId || item.id),
+        transform
+    }, () => {
+        pendingTransform = null;
+        redrawCanvas();
     });
+}
+
+function deleteSelection() {
+    const ids = getSelectedItems().map(item => item.pathId || item.id);
+    if (ids.length === 0) return;
     
-    itemsToRemove.reverse().forEach(index => {
-        const item = canvasData[index];
-        if (item.pathId) {
-            drawingPaths.delete(item.pathId);
-        }
-        canvasData.splice(index, 1);
+    socket.emit('deleteItems', { ids }, () => {
+        selectedIds.clear();
+        redrawCanvas();
     });
-    
-    redrawCanvas();
+}
+
+function getOutlinePoints(item) {
+    if (item.type === 'draw') return item.pathPoints || [];
+    if (item.type === 'shape') return shapeSegments(item).flat();
+    
+    const extent = getItemsExtent([item]);
+    return [
+        { x: extent.minX, y: extent.minY },
+        { x: extent.maxX, y: extent.minY },
+        { x: extent.maxX, y: extent.maxY },
+        { x: extent.minX, y: extent.maxY }
+    ];
+}
+
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function drawSelection(transform) {
+    if (selectDrag && selectDrag.kind === 'lasso') {
+        ctx.beginPath();
+        selectDrag.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.setLineDash([4 / scale, 4 / scale]);
+        ctx.strokeStyle = '#3d7a37';
+        ctx.lineWidth = 1 / scale;
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+    
+    let selected = getSelectedItems();
+    if (selected.length === 0) return;
+    if (transform) selected = selected.map(item => transformItem(item, transform));
+    
+    const bounds = getItemsExtent(selected);
+    if (!bounds) return;
+    
+    ctx.setLineDash([6 / scale, 4 / scale]);
+    ctx.strokeStyle = '#3d7a37';
+    ctx.lineWidth = 1 / scale;
+    ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    ctx.setLineDash([]);
+    
+    const handleSize = 8 / scale;
+    ctx.fillStyle = '#3d7a37';
+    getSelectionHandles(bounds).forEach(h => {
+        ctx.fillRect(h.x - handleSize / 2, h.y - handleSize / 2, handleSize, handleSize);
+    });
+}
+
+// Finished items are drawn once into tiles, cached per zoom level, and each
+// frame is put together from the tiles. Only items that are still changing,
+// strokes being drawn and items being dragged, are drawn every frame
+const TILE_SIZE = 256; // screen pixels
+const TILE_CACHE_MARGIN = 48; // tiles kept beyond those on screen, for panning back
+const MAX_TILE_ZOOMS = 2;
+const STROKE_MARGIN = 170; // how far a stroke can reach past its points: the widest arrowhead
+const LIVE_STROKE_TIMEOUT = 1000; // a remote stroke that stops without an end counts as finished after this
+let tileCaches = new Map(); // zoom level -> Map of "col,row" -> { canvas, box }, least recently used first
+let floatingIds = new Set(); // items drawn every frame, left out of the tiles
+let tilePool = []; // canvases of dropped tiles, reused rather than allocated again while zooming
+
+// Redraws are batched into the next animation frame
+function redrawCanvas() {
+    if (frameRequested) return;
+    frameRequested = true;
+    requestAnimationFrame(renderFrame);
+}
+
+// World point (x, y) is drawn at ((x + panX) * scale, (y + panY) * scale) on screen
+function applyViewTransform(targetCtx) {
+    targetCtx.setTransform(scale, 0, 0, scale, panX * scale, panY * scale);
+}
+
+function getViewBounds() {
+    return { minX: -panX, minY: -panY, maxX: canvas.width / scale - panX, maxY: canvas.height / scale - panY };
+}
+
+// Everything an item can draw on, including the width of its stroke
+function renderBounds(item) {
+    const bounds = itemBounds(item);
+    if (!bounds) return null;
+    return {
+        minX: bounds.minX - STROKE_MARGIN,
+        minY: bounds.minY - STROKE_MARGIN,
+        maxX: bounds.maxX + STROKE_MARGIN,
+        maxY: bounds.maxY + STROKE_MARGIN
+    };
+}
+
+// Drops the cached tiles an item touches, at every zoom level, so they are
+// drawn again with the change
+function invalidateTiles(item) {
+    const bounds = renderBounds(item);
+    if (!bounds) return;
+    
+    tileCaches.forEach(tiles => {
+        tiles.forEach((tile, key) => {
+            if (boundsOverlap(tile.box, bounds)) dropTile(tiles, key);
+        });
+    });
+}
+
+function dropTile(tiles, key) {
+    const tile = tiles.get(key);
+    tiles.delete(key);
+    if (tile.canvas && tilePool.length < maxTilesPerZoom()) tilePool.push(tile.canvas);
+}
+
+// Every tile a frame can show fits, however large or dense the screen
+function maxTilesPerZoom() {
+    if (!canvas) return TILE_CACHE_MARGIN;
+    const cols = Math.ceil(canvas.width / TILE_SIZE) + 1;
+    const rows = Math.ceil(canvas.height / TILE_SIZE) + 1;
+    return cols * rows + TILE_CACHE_MARGIN;
+}
+
+// Items moving into or out of the floating set are taken out of or put back
+// into the tiles
+function updateFloating(transform) {
+    const now = Date.now();
+    liveStrokes.forEach((lastPoint, pathId) => {
+        if (pathId !== currentPathId && now - lastPoint > LIVE_STROKE_TIMEOUT) liveStrokes.delete(pathId);
+    });
+    
+    const floating = new Set(liveStrokes.keys());
+    if (transform) selectedIds.forEach(id => floating.add(id));
+    
+    const changed = [...floating].filter(id => !floatingIds.has(id))
+        .concat([...floatingIds].filter(id => !floating.has(id)));
+    changed.forEach(id => {
+        const item = canvasIndex.get(id);
+        if (item) invalidateTiles(item);
+    });
+    floatingIds = floating;
+}
+
+function renderTile(col, row) {
+    const size = TILE_SIZE / scale;
+    const box = { minX: col * size, minY: row * size, maxX: (col + 1) * size, maxY: (row + 1) * size };
+    const items = canvasIndex.query({
+        minX: box.minX - STROKE_MARGIN,
+        minY: box.minY - STROKE_MARGIN,
+        maxX: box.maxX + STROKE_MARGIN,
+        maxY: box.maxY + STROKE_MARGIN
+    }).filter(item => !floatingIds.has(item.pathId || item.id));
+    
+    // Empty tiles cost nothing to keep
+    if (items.length === 0) return { canvas: null, box };
+    
+    let tileCanvas = tilePool.pop();
+    if (!tileCanvas) {
+        tileCanvas = document.createElement('canvas');
+        tileCanvas.width = TILE_SIZE;
+        tileCanvas.height = TILE_SIZE;
+    }
+    const tileCtx = tileCanvas.getContext('2d');
+    tileCtx.setTransform(1, 0, 0, 1, 0, 0);
+    tileCtx.clearRect(0, 0, TILE_SIZE, TILE_SIZE);
+    tileCtx.setTransform(scale, 0, 0, scale, -col * TILE_SIZE, -row * TILE_SIZE);
+    drawItems(tileCtx, items, drawingPaths);
+    return { canvas: tileCanvas, box };
+}
+
+// Tiles line up with world coordinates at each zoom level, so panning reuses them
+function drawTiles() {
+    let tiles = tileCaches.get(scale);
+    if (!tiles) {
+        tiles = new Map();
+        tileCaches.set(scale, tiles);
+        if (tileCaches.size > MAX_TILE_ZOOMS) {
+            const oldest = tileCaches.keys().next().value;
+            const oldTiles = tileCaches.get(oldest);
+            Array.from(oldTiles.keys()).forEach(key => dropTile(oldTiles, key));
+            tileCaches.delete(oldest);
+        }
+    }
+    
+    // Whole pixels, so neighbouring tiles meet without a seam
+    const offsetX = Math.round(panX * scale);
+    const offsetY = Math.round(panY * scale);
+    const firstCol = Math.floor(-offsetX / TILE_SIZE);
+    const lastCol = Math.floor((canvas.width - offsetX) / TILE_SIZE);
+    const firstRow = Math.floor(-offsetY / TILE_SIZE);
+    const lastRow = Math.floor((canvas.height - offsetY) / TILE_SIZE);
+    
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    for (let col = firstCol; col <= lastCol; col++) {
+        for (let row = firstRow; row <= lastRow; row++) {
+            const key = `${col},${row}`;
+            let tile = tiles.get(key);
+            if (tile) {
+                tiles.delete(key);
+            } else {
+                tile = renderTile(col, row);
+            }
+            tiles.set(key, tile);
+            
+            if (tile.canvas) ctx.drawImage(tile.canvas, col * TILE_SIZE + offsetX, row * TILE_SIZE + offsetY);
+        }
+    }
+    
+    const maxTiles = maxTilesPerZoom();
+    while (tiles.size > maxTiles) {
+        dropTile(tiles, tiles.keys().next().value);
+    }
+}
+
+function renderFrame() {
+    frameRequested = false;
+    if (!canvas || !ctx) return;
+    
+    // Items being moved or resized are drawn where they are going
+    const transform = (selectDrag && selectDrag.transform) || pendingTransform;
+    updateFloating(transform);
+    
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    applyViewTransform(ctx);
+    drawSections();
+    drawTiles();
+    applyViewTransform(ctx);
+    
+    const view = getViewBounds();
+    const isVisible = item => {
+        const bounds = renderBounds(item);
+        return !!bounds && boundsOverlap(bounds, view);
+    };
+    const moving = transform ? selectedIds : new Set();
+    const floating = [...floatingIds]
+        .filter(id => !moving.has(id))
+        .map(id => canvasIndex.get(id))
+        .filter(item => item && isVisible(item));
+    drawItems(ctx, floating, drawingPaths);
+    if (transform) {
+        drawItems(ctx, getSelectedItems().map(item => transformItem(item, transform)).filter(isVisible));
+    }
+    if (mode === 'select') drawSelection(transform);
+    
+    // Shape being dragged out, in red where it can't be placed
+    if (shapePreview) {
+        drawItems(ctx, [canPlaceShape(shapePreview) ? shapePreview : { ...shapePreview, color: '#c0392b' }]);
+    }
+    
+    ctx.restore();
+}
+
+// Canvas export. Other people's private sections are left out, as they are
+// in the server's SVG export
+const MAX_EXPORT_SIZE = 8192;
+let exportEnabled = false;
+
+function getExportableItems() {
+    return canvasData.filter(item =>
+        !item.sectionId ||
+        !sections.some(s => s.sectionId === item.sectionId) ||
+        item.sectionId === currentPrivateSection
+    );
+}
+
+function getItemsExtent(items) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    
+    items.forEach(item => {
+        if (item.type === 'text') {
+            const fontSize = item.fontSize || 16;
+            ctx.font = `${fontSize}px ${CANVAS_FONT}`;
+            minX = Math.min(minX, item.x);
+            minY = Math.min(minY, item.y - fontSize);
+            maxX = Math.max(maxX, item.x + ctx.measureText(item.text).width);
+            maxY = Math.max(maxY, item.y + fontSize * 0.25);
+        } else if (item.type === 'draw' && item.pathPoints) {
+            item.pathPoints.forEach(p => {
+                minX = Math.min(minX, p.x);
+                minY = Math.min(minY, p.y);
+                maxX = Math.max(maxX, p.x);
+                maxY = Math.max(maxY, p.y);
+            });
+        } else if (item.type === 'shape') {
+            minX = Math.min(minX, item.x1, item.x2);
+            minY = Math.min(minY, item.y1, item.y2);
+            maxX = Math.max(maxX, item.x1, item.x2);
+            maxY = Math.max(maxY, item.y1, item.y2);
+        }
+    });
+    
+    return minX === Infinity ? null : { minX, minY, maxX, maxY };
+}
+
+// Renders either what is on screen ('visible') or everything ('all') to a PNG download
+function exportPng(area) {
+    const items = getExportableItems();
+    const exportCanvas = document.createElement('canvas');
+    const exportCtx = exportCanvas.getContext('2d');
+    
+    if (area === 'visible') {
+        exportCanvas.width = canvas.width;
+        exportCanvas.height = canvas.height;
+        exportCtx.fillStyle = '#0a0a0a';
+        exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+        // The same view the screen is drawn with
+        applyViewTransform(exportCtx);
+    } else {
+        const extent = getItemsExtent(items);
+        if (!extent) {
+            alert('There is nothing on the canvas to export yet.');
+            return;
+        }
+        
+        const padding = 20;
+        const width = extent.maxX - extent.minX + padding * 2;
+        const height = extent.maxY - extent.minY + padding * 2;
+        const exportScale = Math.min(1, MAX_EXPORT_SIZE / Math.max(width, height));
+        
+        exportCanvas.width = Math.ceil(width * exportScale);
+        exportCanvas.height = Math.ceil(height * exportScale);
+        exportCtx.fillStyle = '#0a0a0a';
+        exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
+        exportCtx.scale(exportScale, exportScale);
+        exportCtx.translate(padding - extent.minX, padding - extent.minY);
+    }
+    
+    drawItems(exportCtx, items, drawingPaths);
+    exportCanvas.toBlob(blob => downloadBlob(blob, 'png'), 'image/png');
+}
+
+function exportSvg() {
+    const token = localStorage.getItem(SESSION_KEY);
+    fetch('/export.svg', { headers: token ? { 'Authorization': `Bearer ${token}` } : {} })
+        .then(res => {
+            if (!res.ok) throw new Error(`Export failed with status ${res.status}`);
+            return res.blob();
+        })
+        .then(blob => downloadBlob(blob, 'svg'))
+        .catch(() => alert('Failed to export the canvas.'));
+}
+
+function downloadBlob(blob, extension) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    link.href = url;
+    link.download = `interaction-atlas-${stamp}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Socket event handlers
+
+// Reclaim our seat whenever the connection is (re)established
+socket.on('connect', () => {
+    const sessionToken = localStorage.getItem(SESSION_KEY);
+    if (sessionToken) {
+        socket.emit('join', { ageVerified: true, sessionToken });
+    }
+});
+
+socket.on('joined', (data) => {
+    participantNumber = data.number;
+    authorId = data.authorId;
+    localStorage.setItem(SESSION_KEY, data.sessionToken);
+    rules = data.rules;
+    applyRules();
+    exportEnabled = !!data.exportEnabled;
+    document.getElementById('exportBtn').style.display = exportEnabled ? 'block' : 'none';
+    
+    // A resumed session replaces whatever we had before the connection dropped
+    canvasData = data.canvasData || [];
+    canvasIndex.load(canvasData);
+    tileCaches.clear();
+    drawingPaths = new Map();
+    liveStrokes = new Map();
+    isDrawing = false;
+    currentPathId = null;
+    sections = data.roomState.sections || [];
+    currentPrivateSection = data.inPrivateSection || null;
+    setRoomPhase(data.roomState.phase);
+
+    // Joining or coming back during a round still gets a say in it
+    if (data.roomState.votingPhase) {
+        voteReceipt = data.vote ? data.vote.receipt || null : null;
+        const closesAt = data.roomState.votingClosesAt - data.roomState.now + Date.now();
+        showVotingModal(data.roomState.votingRound, closesAt, data.roomState.turnout, data.vote ? data.vote.votedNumbers : []);
+    }
+    
+    canvasData.forEach(item => {
+        if (item.type === 'draw' && item.pathId && item.pathPoints) {
+            drawingPaths.set(item.pathId, {
+                points: item.pathPoints,
+                participantNumber: item.participantNumber
+            });
+        }
+    });
+    
+    document.getElementById('participantNumber').textContent = data.number;
+    document.getElementById('ageModal').classList.remove('show');
+    document.getElementById('joinModal').classList.remove('show');
+    document.getElementById('mainInterface').style.display = 'flex';
+    
+    if (!canvas) {
+        initCanvas();
+    }
+    
+    setTimeout(() => {
+        resizeCanvas();
+        redrawCanvas();
+    }, 100);
+    
+    updateParticipantCount(data.roomState.participants.length);
+    
+    if (data.roomState.roomActive && data.roomState.timeElapsed) {
+        roomStartTime = Date.now() - data.roomState.timeElapsed;
+    } else if (data.roomState.roomActive) {
+        roomStartTime = Date.now();
+    }
+    
+    redrawCanvas();
+});
+
+socket.on('joinFailed', (data) => {
+    if (data.reason === 'session_expired') {
+        localStorage.removeItem(SESSION_KEY);
+        
+        // On a fresh page load the age check is still showing; only interrupt someone who was in the room
+        if (participantNumber !== null) {
+            alert('Your seat was released because you were disconnected for too long.');
+            window.location.reload();
+        }
+        return;
+    }
+    
+    if (data.reason === 'age_verification_failed') {
+        alert('You must be 18 or older to join.');
+        window.location.reload();
+    } else if (data.reason === 'removed') {
+        alert('The facilitator has removed you from this session.');
+        window.location.reload();
+    } else if (data.reason === 'invalid_request') {
+        alert(`Unable to join: ${data.error}`);
+        window.location.reload();
+    } else {
+        alert('Unable to join: Room is full or has already started.');
+        window.location.reload();
+    }
+});
+
+socket.on('canvasUpdate', (action) => {
+    if (action.type === 'draw' && action.pathId) {
+        if (action.action === 'end') {
+            liveStrokes.delete(action.pathId);
+        } else if (action.action === 'start' && !canvasIndex.get(action.pathId)) {
+            // Our own strokes are already on the canvas. Points follow in strokePoints
+            const pathPoints = [{ x: action.x, y: action.y }];
+            drawingPaths.set(action.pathId, {
+                points: pathPoints,
+                participantNumber: action.participantNumber
+            });
+            addItem({
+                ...action,
+                pathPoints
+            });
+            liveStrokes.set(action.pathId, Date.now());
+        }
+        redrawCanvas();
+    } else if (action.type === 'shape') {
+        // Our own shapes are already on the canvas
+        if (!canvasIndex.get(action.id)) {
+            addItem(action);
+        }
+        redrawCanvas();
+    } else if (action.type === 'text') {
+        const existingText = canvasData.find(item => 
+            item.type === 'text' && 
+            item.x === action.x && 
+            item.y === action.y && 
+            item.text === action.text
+        );
+        if (!existingText) {
+            addItem(action);
+        }
+        redrawCanvas();
+    }
+});
+
+// Points of other people's strokes, batched by the server
+socket.on('strokePoints', (data) => {
+    data.strokes.forEach(stroke => {
+        const canvasItem = canvasIndex.get(stroke.pathId);
+        if (!canvasItem || canvasItem.authorId === authorId) return;
+        
+        // Remote paths share their points with drawingPaths
+        const points = decodePoints(stroke.points) || [];
+        points.forEach(point => addPathPoint(canvasItem, point));
+        liveStrokes.set(stroke.pathId, Date.now());
+    });
+    redrawCanvas();
+});
+
+// Items moved or resized by their author, and finished strokes simplified by the server
+socket.on('canvasTransform', (data) => {
+    const updated = new Map(data.items.map(item => [item.pathId || item.id, item]));
+    data.items.forEach(item => {
+        if (item.pathId) drawingPaths.delete(item.pathId);
+    });
+    canvasData = canvasData.map(item => {
+        const replacement = updated.get(item.pathId || item.id);
+        if (!replacement) return item;
+        invalidateTiles(item);
+        invalidateTiles(replacement);
+        return replacement;
+    });
+    data.items.forEach(item => canvasIndex.update(item));
+    redrawCanvas();
+});
+
+// Items put back by an undo or redo
+socket.on('canvasRestore', (data) => {
+    const existing = new Set(canvasData.map(item => item.pathId || item.id));
+    data.items.forEach(item => {
+        if (existing.has(item.pathId || item.id)) return;
+        if (item.pathId) drawingPaths.delete(item.pathId);
+        addItem(item);
+    });
+    redrawCanvas();
+});
+
+socket.on('canvasErase', (data) => {
+    // The server sends the ids of the items it actually removed
+    const ids = new Set(data.ids || []);
+    
+    canvasData = canvasData.filter(item => {
+        const id = item.pathId || item.id;
+        if (!ids.has(id)) return true;
+        canvasIndex.remove(id);
+        invalidateTiles(item);
+        if (item.pathId) {
+            drawingPaths.delete(item.pathId);
+        }
+        return false;
+    });
+    
+    redrawCanvas();
 });
 
 socket.on('participantJoined', (data) => {
@@ -829,35 +1746,183 @@ socket.on('participantLeft', (data) => {
 });
 
 socket.on('votingStarted', (data) => {
-    showVotingModal(data.round);
+    voteReceipt = null;
+    showVotingModal(data.round, data.closesAt - data.now + Date.now(), data.turnout, []);
 });
 
-socket.on('votingEnded', (data) => {
+socket.on('votingTurnout', (data) => {
+    showTurnout(data);
+});
+
+socket.on('votingEnded', async (data) => {
+    votingClosesAt = null;
     hideVotingModal();
+    const messages = [];
     if (data.removed && data.removed.length > 0) {
-        alert(`Participants ${data.removed.join(', ')} were removed.`);
+        messages.push(`Participants ${data.removed.join(', ')} were removed.`);
+    } else if (data.decision && data.decision.skipped) {
+        messages.push(`The facilitator skipped voting round ${data.round}. Nobody was removed.`);
+    } else if (data.decision && !data.decision.quorumMet && rules.noQuorum === 'skip') {
+        messages.push(`Only ${data.decision.ballots} of ${data.decision.electorate} participants voted, too few for the round to count. Nobody was removed.`);
+    }
+    if (data.published && voteReceipt && voteReceipt.round === data.round) {
+        const receipt = voteReceipt.hash.slice(0, 12);
+        messages.push(await verifyPublishedBallots(data.published, voteReceipt)
+            ? `Your ballot (receipt ${receipt}) was counted, and the published tally adds up.`
+            : `Your ballot (receipt ${receipt}) does not match the published results.`);
     }
+    voteReceipt = null;
+    if (messages.length > 0) alert(messages.join('\n\n'));
 });
 
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Our ballot has to be among the published ones exactly as cast, the tally
+// has to be the count of those ballots, and every hash and the commitment
+// have to match them. Hashing needs a secure context (https or localhost);
+// without one only the ballot and the count are checked
+async function verifyPublishedBallots(published, receipt) {
+    const ours = published.ballots.find(ballot => ballot.ballotId === receipt.ballotId);
+    if (!ours || ours.targets.join(',') !== receipt.targets.join(',')) return false;
+
+    const tally = tallyBallots(published.ballots);
+    if (JSON.stringify(tally) !== JSON.stringify(published.tally)) return false;
+
+    if (!window.crypto || !crypto.subtle) return true;
+    const hashes = await Promise.all(published.ballots.map(ballot => sha256Hex(ballotText(ballot))));
+    if (!hashes.includes(receipt.hash) || hashes.some((hash, i) => hash !== published.ballots[i].hash)) return false;
+    return await sha256Hex(commitmentText(published.round, hashes)) === published.commitment;
+}
+
 socket.on('votingComplete', (data) => {
     showVotingCompleteModal(data.remaining);
-    document.getElementById('createSectionBtn').style.display = 'block';
 });
 
+// The server decides the phase; sections unlock with it
+socket.on('phaseChanged', (data) => {
+    setRoomPhase(data);
+});
+
+function setRoomPhase(state) {
+    const offset = Date.now() - state.now;
+    roomPhase = {
+        ...state,
+        next: state.next ? { ...state.next, at: state.next.at + offset } : null
+    };
+    sectionsUnlocked = state.phase === 'sections';
+    updateSectionControls();
+    updatePhaseLabel();
+}
+
+function describePhase(phase, round) {
+    const names = {
+        lobby: 'Waiting to start',
+        open: 'Open',
+        voting: `Voting round ${round}`,
+        postVote: 'Between voting rounds',
+        sections: 'Private sections',
+        closing: 'Closing',
+        closed: 'Closed'
+    };
+    return names[phase] || phase;
+}
+
+function formatDuration(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function updatePhaseLabel() {
+    if (!roomPhase) return;
+
+    const { phase, round, next } = roomPhase;
+    let label = describePhase(phase, round);
+    if (next) {
+        const upcoming = describePhase(next.phase, next.round);
+        label += ` · ${upcoming.charAt(0).toLowerCase()}${upcoming.slice(1)} in ${formatDuration(next.at - Date.now())}`;
+    }
+    document.getElementById('roomPhase').textContent = label;
+}
+
+setInterval(updatePhaseLabel, 1000);
+
 socket.on('removed', (data) => {
-    alert('You have been removed from the room.');
+    localStorage.removeItem(SESSION_KEY);
+    alert(data && data.reason === 'facilitator'
+        ? 'The facilitator has removed you from the room.'
+        : 'You have been removed from the room.');
     window.location.reload();
 });
 
+// The server drops actions that come too fast or would overfill the canvas
+const LIMIT_NOTICES = {
+    rate: 'You are going too fast: some of your actions were dropped.',
+    participantQuota: 'You have reached your share of the canvas. Erase some of your own work to add more.',
+    roomQuota: 'The canvas is full. Something has to be erased before more can be added.'
+};
+const LIMIT_NOTICE_DURATION = 4000;
+let limitNoticeTimer = null;
+
+socket.on('limited', (data) => {
+    const notice = document.getElementById('limitNotice');
+    notice.textContent = LIMIT_NOTICES[data.reason] || LIMIT_NOTICES.rate;
+    notice.style.display = 'block';
+    clearTimeout(limitNoticeTimer);
+    limitNoticeTimer = setTimeout(() => {
+        notice.style.display = 'none';
+    }, LIMIT_NOTICE_DURATION);
+});
+
 socket.on('roomClosed', () => {
+    localStorage.removeItem(SESSION_KEY);
     document.getElementById('roomClosedModal').classList.add('show');
 });
 
 socket.on('privateSectionCreated', (data) => {
     currentPrivateSection = data.sectionId;
+    updateSectionControls();
+    redrawCanvas();
     alert(`Private section created with participants: ${data.members.join(', ')}`);
 });
 
+socket.on('sectionsUpdated', (data) => {
+    sections = data.sections || [];
+    if (currentPrivateSection && !sections.some(s => s.sectionId === currentPrivateSection)) {
+        currentPrivateSection = null;
+    }
+    updateSectionControls();
+    redrawCanvas();
+});
+
+socket.on('sectionMembersChanged', (data) => {
+    if (data.sectionId !== currentPrivateSection) return;
+    
+    if (data.left && data.left.length > 0) {
+        alert(`Participant #${data.left.join(', #')} left your private section.`);
+    }
+    if (data.joined && data.joined.length > 0 && !data.joined.includes(participantNumber)) {
+        alert(`Participant #${data.joined.join(', #')} joined your private section.`);
+    }
+});
+
+socket.on('privateSectionDissolved', (data) => {
+    if (data.sectionId !== currentPrivateSection) return;
+    
+    const wasOwner = isSectionOwner();
+    currentPrivateSection = null;
+    updateSectionControls();
+    redrawCanvas();
+    if (!wasOwner) {
+        alert('Your private section was dissolved.');
+    }
+});
+
 // Age verification
 document.getElementById('ageYes').addEventListener('click', () => {
     document.getElementById('ageModal').classList.remove('show');
@@ -889,6 +1954,61 @@ document.getElementById('eraseMode').addEventListener('click', () => {
     updateModeButtons();
 });
 
+document.getElementById('selectMode').addEventListener('click', () => {
+    mode = 'select';
+    canvas.className = 'select-mode';
+    updateModeButtons();
+});
+
+document.querySelectorAll('[data-shape]').forEach(button => {
+    button.addEventListener('click', () => {
+        mode = button.dataset.shape;
+        canvas.className = '';
+        updateModeButtons();
+    });
+});
+
+// Undo and redo cover only our own strokes, text and erases. The server
+// decides what can still be undone and tells everyone what changed
+function undo() {
+    if (isDrawing) return;
+    socket.emit('undo');
+}
+
+function redo() {
+    if (isDrawing) return;
+    socket.emit('redo');
+}
+
+// Tool palette
+document.getElementById('strokeColor').addEventListener('input', (e) => {
+    toolStyle.color = e.target.value;
+});
+
+document.getElementById('strokeWidth').addEventListener('input', (e) => {
+    toolStyle.width = Number(e.target.value);
+});
+
+document.getElementById('strokeOpacity').addEventListener('input', (e) => {
+    toolStyle.opacity = Number(e.target.value) / 100;
+});
+
+document.getElementById('textSize').addEventListener('change', (e) => {
+    toolStyle.fontSize = Number(e.target.value);
+});
+
+document.getElementById('preciseErase').addEventListener('change', (e) => {
+    preciseErase = e.target.checked;
+});
+
+document.getElementById('undoBtn').addEventListener('click', undo);
+document.getElementById('redoBtn').addEventListener('click', redo);
+
+socket.on('historyChanged', ({ canUndo, canRedo }) => {
+    document.getElementById('undoBtn').disabled = !canUndo;
+    document.getElementById('redoBtn').disabled = !canRedo;
+});
+
 // Instructions button
 document.getElementById('instructionsBtn').addEventListener('click', () => {
     document.getElementById('instructionsModal').classList.add('show');
@@ -904,6 +2024,30 @@ document.getElementById('instructionsModal').addEventListener('click', (e) => {
     }
 });
 
+// Export button
+document.getElementById('exportBtn').addEventListener('click', () => {
+    document.getElementById('exportModal').classList.add('show');
+});
+
+document.getElementById('exportVisible').addEventListener('click', () => {
+    document.getElementById('exportModal').classList.remove('show');
+    exportPng('visible');
+});
+
+document.getElementById('exportAll').addEventListener('click', () => {
+    document.getElementById('exportModal').classList.remove('show');
+    exportPng('all');
+});
+
+document.getElementById('exportSvg').addEventListener('click', () => {
+    document.getElementById('exportModal').classList.remove('show');
+    exportSvg();
+});
+
+document.getElementById('cancelExport').addEventListener('click', () => {
+    document.getElementById('exportModal').classList.remove('show');
+});
+
 // About button
 document.getElementById('aboutBtn').addEventListener('click', () => {
     document.getElementById('aboutModal').classList.add('show');
@@ -922,7 +2066,7 @@ document.getElementById('aboutModal').addEventListener('click', (e) => {
 // Author info click handler
 let authorInfoTimeout = null;
 canvas.addEventListener('click', (e) => {
-    if (mode === 'erase' || mode === 'text' || isDrawing) {
+    if (mode === 'erase' || mode === 'text' || mode === 'claim' || mode === 'select' || SHAPE_MODES.includes(mode) || isDrawing) {
         return;
     }
     
@@ -931,7 +2075,7 @@ canvas.addEventListener('click', (e) => {
     }
     
     authorInfoTimeout = setTimeout(() => {
-        if (mode !== 'erase' && mode !== 'text' && !isDrawing) {
+        if (mode !== 'erase' && mode !== 'text' && mode !== 'select' && !SHAPE_MODES.includes(mode) && !isDrawing) {
             const coords = getCanvasCoordinates(e);
             showAuthorInfo(coords.x, coords.y);
         }
@@ -940,7 +2084,7 @@ canvas.addEventListener('click', (e) => {
 
 // Handle tap for author info on mobile
 canvas.addEventListener('touchend', (e) => {
-    if (e.touches.length === 0 && mode !== 'erase' && mode !== 'text' && !isDrawing && !isTouchPanning) {
+    if (e.touches.length === 0 && mode !== 'erase' && mode !== 'text' && mode !== 'claim' && mode !== 'select' && !SHAPE_MODES.includes(mode) && !isDrawing && !isTouchPanning) {
         const touch = e.changedTouches[0];
         const timeDiff = Date.now() - touchStartTime;
         const dist = Math.hypot(touch.clientX - touchStartX, touch.clientY - touchStartY);
@@ -960,36 +2104,7 @@ canvas.addEventListener('touchend', (e) => {
 
 function showAuthorInfo(x, y) {
     const clickRadius = 30;
-    let foundItem = null;
-    
-    for (const item of canvasData) {
-        if (item.type === 'text') {
-            const distance = Math.sqrt(Math.pow(item.x - x, 2) + Math.pow(item.y - y, 2));
-            if (distance < clickRadius) {
-                foundItem = item;
-                break;
-            }
-        } else if (item.type === 'draw' && item.pathId) {
-            let points = null;
-            const path = drawingPaths.get(item.pathId);
-            if (path && path.points.length > 0) {
-                points = path.points;
-            } else if (item.pathPoints && item.pathPoints.length > 0) {
-                points = item.pathPoints;
-            }
-            
-            if (points) {
-                for (let i = 0; i < points.length; i++) {
-                    const distance = Math.sqrt(Math.pow(points[i].x - x, 2) + Math.pow(points[i].y - y, 2));
-                    if (distance < clickRadius) {
-                        foundItem = item;
-                        break;
-                    }
-                }
-            }
-        }
-        if (foundItem) break;
-    }
+    const foundItem = canvasIndex.near(x, y, clickRadius).find(item => itemNear(item, x, y, clickRadius));
     
     if (foundItem && foundItem.participantNumber) {
         const authorInfo = document.getElementById('authorInfo');
@@ -1037,12 +2152,94 @@ function updateModeButtons() {
     document.getElementById('drawMode').classList.toggle('active', mode === 'draw');
     document.getElementById('textMode').classList.toggle('active', mode === 'text');
     document.getElementById('eraseMode').classList.toggle('active', mode === 'erase');
+    document.getElementById('selectMode').classList.toggle('active', mode === 'select');
+    document.querySelectorAll('[data-shape]').forEach(button => {
+        button.classList.toggle('active', mode === button.dataset.shape);
+    });
+    
+    // The selection only lives in select mode
+    if (mode !== 'select' && selectedIds.size > 0) {
+        selectedIds.clear();
+        redrawCanvas();
+    }
+}
+
+// Room rules in the interface text
+function formatMinutes(minutes) {
+    if (minutes < 1) {
+        const seconds = Math.round(minutes * 60);
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+function formatList(values) {
+    if (values.length <= 1) return values.join('');
+    if (values.length === 2) return `${values[0]} and ${values[1]}`;
+    return `${values.slice(0, -1).join(', ')}, and ${values[values.length - 1]}`;
 }
 
-// Voting modal
-function showVotingModal(round) {
+// The removal rule in words: the strategy, then any turnout and cap
+function describeRemovalRule() {
+    const sentences = [rules.removalStrategy === 'percentage'
+        ? `Participants voted for by at least ${rules.removalPercentage}% of the others will be removed.`
+        : `Participants with ${rules.removalThreshold} or more votes will be removed.`];
+
+    if (rules.minTurnout > 0 && rules.noQuorum === 'skip') {
+        sentences.push(`If fewer than ${rules.minTurnout}% of participants vote, nobody is removed that round.`);
+    }
+    if (rules.maxRemovalsPerRound > 0) {
+        const ties = {
+            spare: 'participants tied at the limit all stay',
+            random: 'ties at the limit are settled at random',
+            lowestNumber: 'ties at the limit remove the lowest numbers first'
+        };
+        const cap = rules.maxRemovalsPerRound;
+        sentences.push(`At most ${cap} participant${cap === 1 ? ' is' : 's are'} removed per round, most votes first; ${ties[rules.tieBreak]}.`);
+    }
+    return sentences.join(' ');
+}
+
+function formatRule(name) {
+    switch (name) {
+        case 'maxParticipants':
+            return String(rules.maxParticipants);
+        case 'removalRule':
+            return describeRemovalRule();
+        case 'sectionInvitees':
+            return String(rules.maxSectionMembers - 1);
+        case 'votingRoundTimes': {
+            const times = rules.votingRoundMinutes;
+            return formatList(times.slice(0, -1).map(String).concat(formatMinutes(times[times.length - 1])));
+        }
+        case 'votingWindow':
+            return formatMinutes(rules.votingWindowMinutes);
+        case 'sessionLength':
+            return rules.sessionHours < 1
+                ? formatMinutes(rules.sessionHours * 60)
+                : `${rules.sessionHours} hour${rules.sessionHours === 1 ? '' : 's'}`;
+        default:
+            return null;
+    }
+}
+
+function applyRules() {
+    document.querySelectorAll('[data-rule]').forEach(el => {
+        const text = formatRule(el.dataset.rule);
+        if (text !== null) el.textContent = text;
+    });
+}
+
+// Voting modal. previousVotes are the numbers we already voted for, if we
+// voted before reconnecting
+function showVotingModal(round, closesAt, turnout, previousVotes) {
     document.getElementById('votingRoundNumber').textContent = round;
-    selectedVotes.clear();
+    document.getElementById('verifiableVotingNote').style.display = rules.verifiableVoting ? 'block' : 'none';
+    votingClosesAt = closesAt;
+    selectedVotes = new Set(previousVotes);
+    document.getElementById('votingParticipants').classList.remove('locked');
+    showTurnout(turnout);
+    updateVotingCountdown();
     
     socket.emit('getParticipants', {}, (participants) => {
         const container = document.getElementById('votingParticipants');
@@ -1056,9 +2253,10 @@ function showVotingModal(round) {
                 if (p.number === participantNumber) return;
                 
                 const div = document.createElement('div');
-                div.className = 'voting-participant';
+                div.className = selectedVotes.has(p.number) ? 'voting-participant selected' : 'voting-participant';
                 div.textContent = `#${p.number}`;
                 div.onclick = () => {
+                    if (votingClosed()) return;
                     if (selectedVotes.has(p.number)) {
                         selectedVotes.delete(p.number);
                         div.classList.remove('selected');
@@ -1070,6 +2268,7 @@ function showVotingModal(round) {
                 };
                 container.appendChild(div);
             });
+            document.getElementById('submitVote').disabled = selectedVotes.size === 0 || votingClosed();
         }
     });
     
@@ -1080,8 +2279,37 @@ function hideVotingModal() {
     document.getElementById('votingModal').classList.remove('show');
 }
 
+function votingClosed() {
+    return votingClosesAt === null || Date.now() >= votingClosesAt;
+}
+
+function showTurnout(turnout) {
+    if (!turnout) return;
+    document.getElementById('votingTurnout').textContent = `${turnout.voted} of ${turnout.eligible} voted`;
+}
+
+// Once the window closes the modal stays up, locked, until the results arrive
+function updateVotingCountdown() {
+    if (votingClosesAt === null) return;
+
+    const seconds = Math.max(0, Math.ceil((votingClosesAt - Date.now()) / 1000));
+    const countdown = document.getElementById('votingCountdown');
+    if (seconds > 0) {
+        countdown.textContent = `Closes in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        return;
+    }
+    countdown.textContent = 'Voting has closed. Counting votes...';
+    document.getElementById('submitVote').disabled = true;
+    document.getElementById('votingParticipants').classList.add('locked');
+}
+
+setInterval(updateVotingCountdown, 1000);
+
 document.getElementById('submitVote').addEventListener('click', () => {
-    socket.emit('vote', { votedNumbers: Array.from(selectedVotes) });
+    if (votingClosed()) return;
+    socket.emit('vote', { votedNumbers: Array.from(selectedVotes) }, (response) => {
+        if (response.receipt) voteReceipt = response.receipt;
+    });
     hideVotingModal();
 });
 
@@ -1095,15 +2323,82 @@ document.getElementById('closeVotingComplete').addEventListener('click', () => {
     document.getElementById('votingCompleteModal').classList.remove('show');
 });
 
+// Private section controls in the top bar
+function getCurrentSection() {
+    return sections.find(s => s.sectionId === currentPrivateSection) || null;
+}
+
+function isSectionOwner() {
+    const section = getCurrentSection();
+    return !!section && section.ownerNumber === participantNumber;
+}
+
+function updateSectionControls() {
+    if (!rules) return;
+    
+    const section = getCurrentSection();
+    const freeSeats = section ? rules.maxSectionMembers - section.members.length : 0;
+    
+    document.getElementById('createSectionBtn').style.display = sectionsUnlocked && !section ? 'block' : 'none';
+    document.getElementById('inviteToSectionBtn').style.display = section && freeSeats > 0 ? 'block' : 'none';
+    document.getElementById('leaveSectionBtn').style.display = section ? 'block' : 'none';
+    document.getElementById('dissolveSectionBtn').style.display = section && isSectionOwner() ? 'block' : 'none';
+}
+
+document.getElementById('inviteToSectionBtn').addEventListener('click', () => {
+    socket.emit('getAvailableParticipants', {}, (participants) => {
+        availableParticipants = participants;
+        showCreateSectionModal('invite');
+    });
+});
+
+document.getElementById('leaveSectionBtn').addEventListener('click', () => {
+    if (!confirm('Leave your private section?')) return;
+    
+    socket.emit('leavePrivateSection', {}, (response) => {
+        if (response.success) {
+            currentPrivateSection = null;
+            updateSectionControls();
+            redrawCanvas();
+        } else {
+            alert('Failed to leave the private section.');
+        }
+    });
+});
+
+document.getElementById('dissolveSectionBtn').addEventListener('click', () => {
+    if (!confirm('Dissolve your private section for all of its members?')) return;
+    
+    socket.emit('dissolvePrivateSection', {}, (response) => {
+        if (!response.success) {
+            alert('Failed to dissolve the private section.');
+        }
+    });
+});
+
 // Create private section
 document.getElementById('createSectionBtn').addEventListener('click', () => {
     socket.emit('getAvailableParticipants', {}, (participants) => {
         availableParticipants = participants;
-        showCreateSectionModal();
+        showCreateSectionModal('create');
     });
 });
 
-function showCreateSectionModal() {
+function showCreateSectionModal(modalMode) {
+    sectionModalMode = modalMode;
+    setCreateSectionView(false);
+    
+    const section = getCurrentSection();
+    const maxInvitees = modalMode === 'invite' && section
+        ? rules.maxSectionMembers - section.members.length
+        : rules.maxSectionMembers - 1;
+    document.getElementById('createSectionTitle').textContent =
+        modalMode === 'invite' ? 'Invite to Private Section' : 'Create Private Section';
+    document.getElementById('createSectionIntro').textContent = modalMode === 'invite'
+        ? `Select up to ${maxInvitees} participant${maxInvitees === 1 ? '' : 's'} to invite into your section. They join once they accept.`
+        : `Select up to ${maxInvitees} participants to invite, then drag on the canvas to mark the section's area. The section forms once they accept.`;
+    document.getElementById('confirmSection').textContent = modalMode === 'invite' ? 'Send Invitation' : 'Create Section';
+    
     const container = document.getElementById('availableParticipants');
     container.innerHTML = '';
     selectedForSection.clear();
@@ -1119,8 +2414,8 @@ function showCreateSectionModal() {
                 selectedForSection.delete(p.number);
                 div.classList.remove('selected');
             } else {
-                if (selectedForSection.size >= 2) {
-                    alert('Maximum 2 participants can be invited.');
+                if (selectedForSection.size >= maxInvitees) {
+                    alert(`Maximum ${maxInvitees} participant${maxInvitees === 1 ? '' : 's'} can be invited.`);
                     return;
                 }
                 selectedForSection.add(p.number);
@@ -1133,22 +2428,136 @@ function showCreateSectionModal() {
     document.getElementById('createSectionModal').classList.add('show');
 }
 
-document.getElementById('confirmSection').addEventListener('click', () => {
-    socket.emit('createPrivateSection', {
-        inviteeNumbers: Array.from(selectedForSection)
-    }, (response) => {
-        if (response.success) {
-            document.getElementById('createSectionModal').classList.remove('show');
-        } else {
-            alert('Failed to create private section.');
-        }
+// The create section modal either picks invitees or follows a pending invitation
+function setCreateSectionView(showingStatus) {
+    document.getElementById('createSectionIntro').style.display = showingStatus ? 'none' : 'block';
+    document.getElementById('availableParticipants').style.display = showingStatus ? 'none' : 'grid';
+    document.getElementById('confirmSection').style.display = showingStatus ? 'none' : 'inline-block';
+    document.getElementById('sectionInviteStatus').style.display = showingStatus ? 'block' : 'none';
+    document.getElementById('cancelSection').textContent = showingStatus ? 'Cancel Invitation' : 'Cancel';
+}
+
+function showInviteStatus(responses) {
+    const container = document.getElementById('sectionInviteResponses');
+    container.innerHTML = '';
+    responses.forEach(r => {
+        const div = document.createElement('div');
+        div.className = `invite-response ${r.status}`;
+        div.textContent = `#${r.number}: ${r.status}`;
+        container.appendChild(div);
     });
+    
+    setCreateSectionView(true);
+    updateInviteCountdowns();
+    document.getElementById('createSectionModal').classList.add('show');
+}
+
+function updateInviteCountdowns() {
+    if (outgoingInvite) {
+        const seconds = Math.max(0, Math.ceil((outgoingInvite.expiresAt - Date.now()) / 1000));
+        document.getElementById('sectionInviteCountdown').textContent = `Waiting for responses (${seconds}s left)`;
+    }
+    if (incomingInvite) {
+        const seconds = Math.max(0, Math.ceil((incomingInvite.expiresAt - Date.now()) / 1000));
+        document.getElementById('incomingInviteCountdown').textContent = `Expires in ${seconds}s`;
+    }
+}
+
+setInterval(updateInviteCountdowns, 1000);
+
+document.getElementById('confirmSection').addEventListener('click', () => {
+    if (selectedForSection.size === 0) {
+        alert('Select at least one participant to invite.');
+        return;
+    }
+    
+    if (sectionModalMode === 'invite') {
+        socket.emit('inviteToPrivateSection', {
+            inviteeNumbers: Array.from(selectedForSection)
+        }, (response) => {
+            if (response.success) {
+                outgoingInvite = { inviteId: response.inviteId, expiresAt: response.expiresAt };
+                showInviteStatus(response.responses);
+            } else {
+                alert('Failed to send the invitation. Your section may not have enough free seats.');
+            }
+        });
+        return;
+    }
+    
+    // Invitees are chosen; now the creator marks the section's area on the canvas
+    document.getElementById('createSectionModal').classList.remove('show');
+    enterClaimMode();
 });
 
 document.getElementById('cancelSection').addEventListener('click', () => {
+    if (outgoingInvite) {
+        socket.emit('cancelSectionInvite', { inviteId: outgoingInvite.inviteId }, () => {});
+        return;
+    }
     document.getElementById('createSectionModal').classList.remove('show');
 });
 
+function respondToInvite(accept) {
+    if (!incomingInvite) return;
+    socket.emit('respondToSectionInvite', { inviteId: incomingInvite.inviteId, accept }, () => {});
+    
+    if (accept) {
+        document.getElementById('incomingInviteCountdown').textContent = 'Accepted. Waiting for the others...';
+        document.getElementById('acceptInvite').disabled = true;
+        document.getElementById('declineInvite').disabled = true;
+        incomingInvite = null;
+    } else {
+        incomingInvite = null;
+        document.getElementById('sectionInviteModal').classList.remove('show');
+    }
+}
+
+document.getElementById('acceptInvite').addEventListener('click', () => respondToInvite(true));
+document.getElementById('declineInvite').addEventListener('click', () => respondToInvite(false));
+
+socket.on('sectionInvite', (data) => {
+    incomingInvite = { inviteId: data.inviteId, expiresAt: data.expiresAt };
+    
+    const others = data.inviteeNumbers.filter(n => n !== participantNumber);
+    const withOthers = others.length > 0 ? ` together with ${others.map(n => `#${n}`).join(', ')}` : '';
+    const members = data.memberNumbers || [];
+    document.getElementById('incomingInviteText').textContent = members.length > 0
+        ? `Participant #${data.creatorNumber} invites you${withOthers} to join their private section (${members.map(n => `#${n}`).join(', ')}).`
+        : `Participant #${data.creatorNumber} invites you${withOthers} to a private section.`;
+    document.getElementById('acceptInvite').disabled = false;
+    document.getElementById('declineInvite').disabled = false;
+    updateInviteCountdowns();
+    document.getElementById('sectionInviteModal').classList.add('show');
+});
+
+socket.on('sectionInviteStatus', (data) => {
+    if (!outgoingInvite || outgoingInvite.inviteId !== data.inviteId) return;
+    outgoingInvite.expiresAt = data.expiresAt;
+    showInviteStatus(data.responses);
+});
+
+socket.on('sectionInviteClosed', (data) => {
+    if (outgoingInvite && outgoingInvite.inviteId === data.inviteId) {
+        outgoingInvite = null;
+        document.getElementById('sectionInviteResponses').innerHTML = '';
+        document.getElementById('createSectionModal').classList.remove('show');
+        if (!data.formed && data.reason !== 'cancelled') {
+            const reasons = {
+                declined: 'Your invitation was declined.',
+                expired: 'Nobody accepted your invitation in time.',
+                unavailable: 'The section could not be formed because someone is no longer available.'
+            };
+            alert(reasons[data.reason] || 'The private section was not formed.');
+        }
+    }
+    
+    if (!incomingInvite || incomingInvite.inviteId === data.inviteId) {
+        incomingInvite = null;
+        document.getElementById('sectionInviteModal').classList.remove('show');
+    }
+});
+
 // Room timer
 let roomStartTime = null;
 function updateRoomTimer() {
@@ -0,0 +1,26 @@
+// Verifiable voting. A ballot is { ballotId, targets }: a random id known only
+// to the server and the voter, and the numbers voted for in ascending order.
+// server.js hashes the text below with SHA-256 to make each voter's receipt
+// and the round's commitment, and app.js recomputes both to check them
+function ballotText(ballot) {
+    return `${ballot.ballotId}:${ballot.targets.join(',')}`;
+}
+
+// Covers every ballot hash of a round, in sorted order so it says nothing
+// about who voted when
+function commitmentText(round, hashes) {
+    return `round ${round}\n${[...hashes].sort().join('\n')}`;
+}
+
+// Votes per participant number, as [{ number, votes }] by number
+function tallyBallots(ballots) {
+    const counts = new Map();
+    ballots.forEach(ballot => {
+        ballot.targets.forEach(number => counts.set(number, (counts.get(number) || 0) + 1));
+    });
+    return Array.from(counts, ([number, votes]) => ({ number, votes })).sort((a, b) => a.number - b.number);
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { ballotText, commitmentText, tallyBallots };
+}
@@ -0,0 +1,227 @@
+// Hit-testing, erasing and transforming canvas items. app.js runs this to
+// show the result of an erase or a move straight away, and server.js, which
+// loads this file with require, runs it to decide what actually happens.
+// Sharing one copy keeps the two in step, down to the ids of erased pieces
+
+// Moving and resizing text changes its font size, within these limits
+const TEXT_SIZE_LIMITS = [8, 96];
+
+// Shapes are stored as two corners: the ends of a line or arrow, or opposite
+// corners of a rectangle's or ellipse's bounding box
+function shapeBounds(shape) {
+    return {
+        x: Math.min(shape.x1, shape.x2),
+        y: Math.min(shape.y1, shape.y2),
+        width: Math.abs(shape.x2 - shape.x1),
+        height: Math.abs(shape.y2 - shape.y1)
+    };
+}
+
+// Outline of a shape as line segments, for hit-testing
+function shapeSegments(shape) {
+    const { x1, y1, x2, y2 } = shape;
+    if (shape.shape === 'line' || shape.shape === 'arrow') {
+        return [[{ x: x1, y: y1 }, { x: x2, y: y2 }]];
+    }
+
+    let corners;
+    if (shape.shape === 'rect') {
+        corners = [{ x: x1, y: y1 }, { x: x2, y: y1 }, { x: x2, y: y2 }, { x: x1, y: y2 }];
+    } else {
+        // Ellipses are close enough to a 32-sided polygon
+        const cx = (x1 + x2) / 2;
+        const cy = (y1 + y2) / 2;
+        const rx = Math.abs(x2 - x1) / 2;
+        const ry = Math.abs(y2 - y1) / 2;
+        corners = [];
+        for (let i = 0; i < 32; i++) {
+            const angle = (i / 32) * Math.PI * 2;
+            corners.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+        }
+    }
+    return corners.map((corner, i) => [corner, corners[(i + 1) % corners.length]]);
+}
+
+function distanceToSegment(x, y, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / lengthSquared));
+    return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+}
+
+// Whether any part of an item lies within radius of a point
+function itemNear(item, x, y, radius) {
+    if (item.type === 'text') {
+        return Math.hypot(item.x - x, item.y - y) < radius;
+    }
+    if (item.type === 'draw' && item.pathId) {
+        return (item.pathPoints || []).some(p => Math.hypot(p.x - x, p.y - y) < radius);
+    }
+    if (item.type === 'shape') {
+        return shapeSegments(item).some(([a, b]) => distanceToSegment(x, y, a, b) < radius);
+    }
+    return false;
+}
+
+// Whether any of the segment a-b lies in the box, found by clipping the
+// segment to each of the box's edges in turn
+function segmentInBox(a, b, box) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const edges = [[-dx, a.x - box.minX], [dx, box.maxX - a.x], [-dy, a.y - box.minY], [dy, box.maxY - a.y]];
+    let start = 0;
+    let end = 1;
+    return edges.every(([direction, distance]) => {
+        // Parallel to this edge: inside it throughout, or not at all
+        if (direction === 0) return distance >= 0;
+        const t = distance / direction;
+        if (direction < 0) start = Math.max(start, t);
+        else end = Math.min(end, t);
+        return start <= end;
+    });
+}
+
+// Whether a path's line or a shape's outline passes through the box, rather
+// than just the box around it. Text is taken to fill its box
+function itemInBox(item, box) {
+    if (item.type === 'draw' && item.pathId) {
+        const points = item.pathPoints || [];
+        if (points.length === 1) return segmentInBox(points[0], points[0], box);
+        return points.slice(1).some((point, i) => segmentInBox(points[i], point, box));
+    }
+    if (item.type === 'shape') {
+        return shapeSegments(item).some(([a, b]) => segmentInBox(a, b, box));
+    }
+    return true;
+}
+
+// The precise eraser cuts the part of a path under the eraser out and keeps
+// the rest as new paths
+
+// Part of the segment a-b inside a circle, as { start, end } fractions of its length
+function circleSpan(a, b, cx, cy, radius) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const fx = a.x - cx;
+    const fy = a.y - cy;
+    const qa = dx * dx + dy * dy;
+    const qc = fx * fx + fy * fy - radius * radius;
+    if (qa === 0) return qc < 0 ? { start: 0, end: 1 } : null;
+
+    const qb = 2 * (fx * dx + fy * dy);
+    const discriminant = qb * qb - 4 * qa * qc;
+    if (discriminant <= 0) return null;
+
+    const root = Math.sqrt(discriminant);
+    const start = Math.max(0, (-qb - root) / (2 * qa));
+    const end = Math.min(1, (-qb + root) / (2 * qa));
+    return start < end ? { start, end } : null;
+}
+
+// Returns the pieces of the path left outside the circle, or null if the
+// eraser doesn't touch it
+function splitPath(points, cx, cy, radius) {
+    if (points.length === 0) return null;
+
+    const lerp = (a, b, t) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+    const first = points[0];
+    const firstInside = (first.x - cx) * (first.x - cx) + (first.y - cy) * (first.y - cy) < radius * radius;
+    const pieces = [];
+    let current = firstInside ? [] : [first];
+    let touched = firstInside;
+
+    for (let i = 1; i < points.length; i++) {
+        const a = points[i - 1];
+        const b = points[i];
+        const span = circleSpan(a, b, cx, cy, radius);
+        if (!span) {
+            current.push(b);
+            continue;
+        }
+
+        touched = true;
+        if (span.start > 0) current.push(lerp(a, b, span.start));
+        if (current.length > 1) pieces.push(current);
+        current = span.end < 1 ? [lerp(a, b, span.end), b] : [];
+    }
+    if (current.length > 1) pieces.push(current);
+
+    return touched ? pieces : null;
+}
+
+// Pieces keep the id of the stroke they came from, plus a short hash, so ids
+// stay short however often a stroke is cut
+function pieceId(pathId, index) {
+    let hash = 0x811c9dc5;
+    const key = `${pathId}/${index}`;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${String(pathId).split('~')[0]}~${hash.toString(36)}`;
+}
+
+// One touch of the eraser, over the items the spatial index found near it.
+// Returns the items the caller may change that the eraser touches and, in
+// precise mode, the pieces that replace touched paths on top of everything
+function eraseItems(candidates, x, y, radius, precise, canModify) {
+    const removed = [];
+    const pieces = [];
+
+    candidates.forEach(item => {
+        if (!canModify(item)) return;
+
+        if (precise && item.type === 'draw' && item.pathId) {
+            const split = splitPath(item.pathPoints || [], x, y, radius);
+            if (!split) return;
+
+            removed.push(item);
+            split.forEach((points, index) => {
+                const id = pieceId(item.pathId, index);
+                pieces.push({ ...item, id, pathId: id, x: points[0].x, y: points[0].y, pathPoints: points });
+            });
+        } else if (itemNear(item, x, y, radius)) {
+            removed.push(item);
+        }
+    });
+
+    return { removed, pieces };
+}
+
+// Returns a transformed copy of an item: scaled about the origin, then
+// shifted. Text is resized through its font size; stroke widths stay as they are
+function transformItem(item, transform) {
+    const { dx, dy, scaleX, scaleY, originX, originY } = transform;
+    const mapX = x => originX + (x - originX) * scaleX + dx;
+    const mapY = y => originY + (y - originY) * scaleY + dy;
+
+    const copy = { ...item };
+    if (item.type === 'draw') {
+        copy.pathPoints = (item.pathPoints || []).map(p => ({ x: mapX(p.x), y: mapY(p.y) }));
+        if (Number.isFinite(item.x)) copy.x = mapX(item.x);
+        if (Number.isFinite(item.y)) copy.y = mapY(item.y);
+    } else if (item.type === 'shape') {
+        copy.x1 = mapX(item.x1);
+        copy.y1 = mapY(item.y1);
+        copy.x2 = mapX(item.x2);
+        copy.y2 = mapY(item.y2);
+    } else if (item.type === 'text') {
+        const [minSize, maxSize] = TEXT_SIZE_LIMITS;
+        copy.x = mapX(item.x);
+        copy.y = mapY(item.y);
+        copy.fontSize = Math.max(minSize, Math.min(maxSize, (item.fontSize || 16) * (scaleX + scaleY) / 2));
+    }
+    return copy;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = {
+        TEXT_SIZE_LIMITS,
+        shapeBounds,
+        distanceToSegment,
+        itemInBox,
+        eraseItems,
+        transformItem
+    };
+}
@@ -0,0 +1,47 @@
+// How stroke points travel between app.js and server.js. Points are kept to a
+// tenth of a pixel and sent as one flat array of whole numbers: the first
+// point, then each point as its change from the one before
+const POINT_SCALE = 10;
+
+// Points are rounded as they are drawn, so every copy of a stroke is the same
+function quantisePoint(point) {
+    return {
+        x: Math.round(point.x * POINT_SCALE) / POINT_SCALE,
+        y: Math.round(point.y * POINT_SCALE) / POINT_SCALE
+    };
+}
+
+function encodePoints(points) {
+    const encoded = [];
+    let lastX = 0;
+    let lastY = 0;
+    points.forEach(point => {
+        const x = Math.round(point.x * POINT_SCALE);
+        const y = Math.round(point.y * POINT_SCALE);
+        encoded.push(x - lastX, y - lastY);
+        lastX = x;
+        lastY = y;
+    });
+    return encoded;
+}
+
+// Returns null for anything that isn't a list of whole-number pairs
+function decodePoints(encoded) {
+    if (!Array.isArray(encoded) || encoded.length % 2 !== 0 || !encoded.every(Number.isSafeInteger)) {
+        return null;
+    }
+
+    const points = [];
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < encoded.length; i += 2) {
+        x += encoded[i];
+        y += encoded[i + 1];
+        points.push({ x: x / POINT_SCALE, y: y / POINT_SCALE });
+    }
+    return points;
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { POINT_SCALE, quantisePoint, encodePoints, decodePoints };
+}
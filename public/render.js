@@ -0,0 +1,125 @@
+// Canvas rendering shared by the live canvas (app.js) and the replay viewer
+// (replay.js). Everything here draws in world coordinates onto a context that
+// already has the pan/zoom transform applied
+const CANVAS_FONT = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif";
+
+// Items drawn before styling existed carry no style fields and use these
+const DEFAULT_STYLE = { color: '#e0e0e0', width: 2, opacity: 1, fontSize: 16 };
+
+// livePaths holds the points of paths still being drawn, keyed by pathId
+function drawItems(targetCtx, items, livePaths) {
+    items.forEach(item => {
+        targetCtx.globalAlpha = item.opacity || DEFAULT_STYLE.opacity;
+        
+        if (item.type === 'draw' && item.pathId) {
+            let points = null;
+            const path = livePaths && livePaths.get(item.pathId);
+            if (path && path.points.length > 0) {
+                points = path.points;
+            } else if (item.pathPoints && item.pathPoints.length > 0) {
+                points = item.pathPoints;
+            }
+            
+            if (points && points.length > 0) {
+                targetCtx.beginPath();
+                traceStroke(targetCtx, points);
+                targetCtx.strokeStyle = item.color || DEFAULT_STYLE.color;
+                targetCtx.lineWidth = item.width || DEFAULT_STYLE.width;
+                targetCtx.lineCap = 'round';
+                targetCtx.lineJoin = 'round';
+                targetCtx.stroke();
+            }
+        } else if (item.type === 'shape') {
+            drawShape(targetCtx, item);
+        } else if (item.type === 'text') {
+            targetCtx.fillStyle = item.color || DEFAULT_STYLE.color;
+            targetCtx.font = `${item.fontSize || DEFAULT_STYLE.fontSize}px ${CANVAS_FONT}`;
+            targetCtx.fillText(item.text, item.x, item.y);
+        }
+    });
+    
+    targetCtx.globalAlpha = 1;
+}
+
+// Strokes are drawn as a smooth curve through every point (a Catmull-Rom
+// spline, as cubic Bézier segments)
+function traceStroke(targetCtx, points) {
+    targetCtx.moveTo(points[0].x, points[0].y);
+    strokeSegments(points).forEach(([c1, c2, end]) => {
+        targetCtx.bezierCurveTo(c1.x, c1.y, c2.x, c2.y, end.x, end.y);
+    });
+}
+
+// Control points and end of each segment. server.js has the same for SVG export
+function strokeSegments(points) {
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const before = points[Math.max(0, i - 1)];
+        const from = points[i];
+        const to = points[i + 1];
+        const after = points[Math.min(points.length - 1, i + 2)];
+        segments.push([
+            { x: from.x + (to.x - before.x) / 6, y: from.y + (to.y - before.y) / 6 },
+            { x: to.x - (after.x - from.x) / 6, y: to.y - (after.y - from.y) / 6 },
+            to
+        ]);
+    }
+    return segments;
+}
+
+// Arrowheads grow with the line width so they stay visible on thick strokes
+function arrowHeadPoints(shape) {
+    const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+    const length = Math.max(10, (shape.width || DEFAULT_STYLE.width) * 4);
+    return [-1, 1].map(side => ({
+        x: shape.x2 - length * Math.cos(angle + side * Math.PI / 6),
+        y: shape.y2 - length * Math.sin(angle + side * Math.PI / 6)
+    }));
+}
+
+function drawShape(targetCtx, shape) {
+    const { x1, y1, x2, y2 } = shape;
+    
+    targetCtx.beginPath();
+    if (shape.shape === 'line' || shape.shape === 'arrow') {
+        targetCtx.moveTo(x1, y1);
+        targetCtx.lineTo(x2, y2);
+        if (shape.shape === 'arrow') {
+            const [left, right] = arrowHeadPoints(shape);
+            targetCtx.moveTo(left.x, left.y);
+            targetCtx.lineTo(x2, y2);
+            targetCtx.lineTo(right.x, right.y);
+        }
+    } else if (shape.shape === 'rect') {
+        targetCtx.rect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+    } else if (shape.shape === 'ellipse') {
+        targetCtx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+    }
+    
+    targetCtx.strokeStyle = shape.color || DEFAULT_STYLE.color;
+    targetCtx.lineWidth = shape.width || DEFAULT_STYLE.width;
+    targetCtx.lineCap = 'round';
+    targetCtx.lineJoin = 'round';
+    targetCtx.stroke();
+}
+
+// Outline and label of a private section's region. zoom keeps the outline
+// and label the same size on screen at any zoom level
+function drawSectionRegion(targetCtx, section, zoom, isOwn) {
+    const { x, y, width, height } = section.region;
+    
+    targetCtx.fillStyle = isOwn ? 'rgba(61, 122, 55, 0.12)' : 'rgba(255, 255, 255, 0.03)';
+    targetCtx.fillRect(x, y, width, height);
+    
+    targetCtx.setLineDash([8 / zoom, 6 / zoom]);
+    targetCtx.strokeStyle = isOwn ? '#3d7a37' : '#666';
+    targetCtx.lineWidth = 1 / zoom;
+    targetCtx.strokeRect(x, y, width, height);
+    targetCtx.setLineDash([]);
+    
+    const members = section.members.map(n => `#${n}`).join(', ');
+    const label = isOwn ? `Your private section (${members})` : `Private section (${members}) · view only`;
+    targetCtx.fillStyle = isOwn ? '#3d7a37' : '#888';
+    targetCtx.font = `${12 / zoom}px ${CANVAS_FONT}`;
+    targetCtx.fillText(label, x, y - 6 / zoom);
+}
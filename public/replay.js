@@ -0,0 +1,350 @@
+// Replay viewer: loads a recorded session and plays its events back on a
+// timeline. The canvas is rebuilt from the recording, so strokes appear in
+// the order they were drawn
+let canvas, ctx;
+let scale = 1;
+let panX = 0;
+let panY = 0;
+let isPanning = false;
+let lastPanX = 0;
+let lastPanY = 0;
+let events = []; // recorded events, oldest first
+let startedAt = 0; // timestamp of the first event
+let duration = 0;
+let position = 0; // ms into the session currently shown
+let appliedCount = 0; // events[0..appliedCount) are reflected in the replay state
+let playing = false;
+let lastFrameTime = null;
+let state = null;
+
+function emptyState() {
+    return {
+        canvasData: [],
+        sections: new Map(), // sectionId -> { sectionId, region, members }
+        participants: new Set(),
+        phase: 'Not started'
+    };
+}
+
+// Stroke points are logged a batch at a time; older recordings have them one by one
+function operationPoints(op) {
+    return op.op === 'points' ? decodePoints(op.points) || [] : [{ x: op.x, y: op.y }];
+}
+
+// Mirrors the server's Room.applyCanvasOperation
+function applyCanvasOperation(op) {
+    if (op.op === 'add') {
+        state.canvasData.push({ ...op.item, pathPoints: op.item.pathPoints ? [...op.item.pathPoints] : undefined });
+    } else if (op.op === 'points' || op.op === 'point') {
+        const pathItem = state.canvasData.find(item => item.pathId === op.pathId);
+        if (pathItem) {
+            if (!pathItem.pathPoints) pathItem.pathPoints = [];
+            pathItem.pathPoints.push(...operationPoints(op));
+        }
+    } else if (op.op === 'remove') {
+        const ids = new Set(op.ids);
+        state.canvasData = state.canvasData.filter(item => !ids.has(item.pathId || item.id));
+    } else if (op.op === 'update') {
+        const updated = new Map(op.items.map(item => [item.pathId || item.id, item]));
+        state.canvasData = state.canvasData.map(item => updated.get(item.pathId || item.id) || item);
+    }
+}
+
+function applyEvent(event) {
+    switch (event.type) {
+        case 'start':
+            state.phase = 'Open';
+            break;
+        case 'join':
+            state.participants.add(event.number);
+            break;
+        case 'leave':
+            state.participants.delete(event.number);
+            break;
+        case 'canvas':
+            applyCanvasOperation(event);
+            break;
+        case 'votingStarted':
+            state.phase = `Voting round ${event.round}`;
+            break;
+        case 'votingEnded':
+            if (event.removed.length > 0) {
+                state.phase = `Round ${event.round} removed ${event.removed.map(n => `#${n}`).join(', ')}`;
+            } else if (event.decision && event.decision.skipped) {
+                state.phase = `Round ${event.round} was skipped`;
+            } else if (event.decision && !event.decision.quorumMet) {
+                state.phase = `Round ${event.round} removed nobody: too few votes`;
+            } else {
+                state.phase = `Round ${event.round} removed nobody`;
+            }
+            break;
+        case 'sectionCreated':
+            state.sections.set(event.sectionId, {
+                sectionId: event.sectionId,
+                region: event.region,
+                members: event.members
+            });
+            break;
+        case 'sectionMembersChanged': {
+            const section = state.sections.get(event.sectionId);
+            if (section) section.members = event.members;
+            break;
+        }
+        case 'sectionClosed':
+            state.sections.delete(event.sectionId);
+            break;
+        case 'closed':
+            state.phase = 'Closed';
+            break;
+    }
+}
+
+// Moves the replay to a point in the session. Going forward applies the
+// events in between; going back rebuilds the state from the start
+function seek(ms) {
+    position = Math.max(0, Math.min(duration, ms));
+    
+    const targetTime = startedAt + position;
+    if (appliedCount > 0 && events[appliedCount - 1].t > targetTime) {
+        state = emptyState();
+        appliedCount = 0;
+    }
+    while (appliedCount < events.length && events[appliedCount].t <= targetTime) {
+        applyEvent(events[appliedCount]);
+        appliedCount++;
+    }
+    
+    updateTimeline();
+    redrawCanvas();
+}
+
+function redrawCanvas() {
+    if (!canvas || !ctx) return;
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!state) return;
+    
+    ctx.save();
+    ctx.translate(panX, panY);
+    ctx.scale(scale, scale);
+    
+    state.sections.forEach(section => drawSectionRegion(ctx, section, scale, false));
+    
+    // The live canvas shows section content to everyone, view-only; the replay
+    // keeps it hidden until its section closes
+    drawItems(ctx, state.canvasData.filter(item => !item.sectionId || !state.sections.has(item.sectionId)));
+    
+    ctx.restore();
+}
+
+function formatTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours > 0 ? `${String(hours).padStart(2, '0')}:${mmss}` : mmss;
+}
+
+function updateTimeline() {
+    document.getElementById('timelineSlider').value = position;
+    document.getElementById('timelineTime').textContent = `${formatTime(position)} / ${formatTime(duration)}`;
+    document.getElementById('replayParticipants').textContent = state ? state.participants.size : 0;
+    document.getElementById('replayPhase').textContent = state ? state.phase : 'Not started';
+}
+
+// Playback
+function setPlaying(value) {
+    playing = value;
+    lastFrameTime = null;
+    document.getElementById('playPause').textContent = playing ? 'Pause' : 'Play';
+    if (playing) requestAnimationFrame(tick);
+}
+
+function tick(now) {
+    if (!playing) return;
+    
+    if (lastFrameTime !== null) {
+        const speed = Number(document.getElementById('playbackSpeed').value);
+        seek(position + (now - lastFrameTime) * speed);
+        if (position >= duration) {
+            setPlaying(false);
+            return;
+        }
+    }
+    lastFrameTime = now;
+    requestAnimationFrame(tick);
+}
+
+document.getElementById('playPause').addEventListener('click', () => {
+    if (!playing && position >= duration) seek(0);
+    setPlaying(!playing);
+});
+
+document.getElementById('timelineSlider').addEventListener('input', (e) => {
+    seek(Number(e.target.value));
+});
+
+document.addEventListener('keydown', (e) => {
+    if (e.code === 'Space' && events.length > 0 && e.target.tagName !== 'SELECT') {
+        e.preventDefault();
+        document.getElementById('playPause').click();
+    }
+});
+
+// Loading sessions
+function showMessage(text) {
+    document.getElementById('replayMessage').textContent = text;
+}
+
+// Centres the whole session's drawing on screen
+function fitToContent() {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const include = (x, y) => {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    };
+    events.forEach(event => {
+        if (event.type !== 'canvas') return;
+        if (event.op === 'add' && event.item.type === 'shape') {
+            include(event.item.x1, event.item.y1);
+            include(event.item.x2, event.item.y2);
+        } else if (event.op === 'add') {
+            include(event.item.x, event.item.y);
+        }
+        if (event.op === 'points' || event.op === 'point') {
+            operationPoints(event).forEach(point => include(point.x, point.y));
+        }
+    });
+    
+    if (bounds.minX === Infinity) {
+        scale = 1;
+        panX = 0;
+        panY = 0;
+        return;
+    }
+    
+    const padding = 40;
+    const width = bounds.maxX - bounds.minX + padding * 2;
+    const height = bounds.maxY - bounds.minY + padding * 2;
+    scale = Math.max(0.1, Math.min(2, canvas.width / width, canvas.height / height));
+    panX = (canvas.width - (bounds.maxX + bounds.minX) * scale) / 2;
+    panY = (canvas.height - (bounds.maxY + bounds.minY) * scale) / 2;
+}
+
+function loadSession(sessionId) {
+    setPlaying(false);
+    fetch(`/sessions/${sessionId}`)
+        .then(res => {
+            if (!res.ok) throw new Error(`Failed to load session: ${res.status}`);
+            return res.json();
+        })
+        .then(data => {
+            events = data.events;
+            startedAt = events.length > 0 ? events[0].t : 0;
+            duration = events.length > 0 ? events[events.length - 1].t - startedAt : 0;
+            state = emptyState();
+            appliedCount = 0;
+            
+            const slider = document.getElementById('timelineSlider');
+            slider.max = duration;
+            slider.disabled = events.length === 0;
+            document.getElementById('playPause').disabled = events.length === 0;
+            showMessage(events.length === 0 ? 'Nothing was recorded in this session.' : '');
+            
+            fitToContent();
+            seek(0);
+        })
+        .catch(err => {
+            console.error(err);
+            showMessage('Could not load this session.');
+        });
+}
+
+document.getElementById('sessionSelect').addEventListener('change', (e) => {
+    loadSession(e.target.value);
+});
+
+function loadSessionList() {
+    fetch('/sessions')
+        .then(res => {
+            if (!res.ok) throw new Error(`Failed to list sessions: ${res.status}`);
+            return res.json();
+        })
+        .then(data => {
+            const select = document.getElementById('sessionSelect');
+            select.innerHTML = '';
+            data.sessions.forEach(sessionId => {
+                const option = document.createElement('option');
+                option.value = sessionId;
+                option.textContent = new Date(sessionId).toLocaleString();
+                select.appendChild(option);
+            });
+            
+            if (data.sessions.length === 0) {
+                showMessage('No sessions have been recorded yet.');
+                return;
+            }
+            loadSession(data.sessions[0]);
+        })
+        .catch(err => {
+            console.error(err);
+            showMessage('Replay is not available on this server.');
+        });
+}
+
+// Canvas setup, with drag to pan and wheel to zoom
+function resizeCanvas() {
+    const container = document.getElementById('canvasContainer');
+    canvas.width = container.clientWidth;
+    canvas.height = container.clientHeight;
+    redrawCanvas();
+}
+
+function initCanvas() {
+    canvas = document.getElementById('canvas');
+    ctx = canvas.getContext('2d');
+    canvas.style.cursor = 'grab';
+    
+    resizeCanvas();
+    window.addEventListener('resize', resizeCanvas);
+    
+    canvas.addEventListener('mousedown', (e) => {
+        isPanning = true;
+        lastPanX = e.clientX;
+        lastPanY = e.clientY;
+        canvas.style.cursor = 'grabbing';
+    });
+    window.addEventListener('mousemove', (e) => {
+        if (!isPanning) return;
+        panX += e.clientX - lastPanX;
+        panY += e.clientY - lastPanY;
+        lastPanX = e.clientX;
+        lastPanY = e.clientY;
+        redrawCanvas();
+    });
+    window.addEventListener('mouseup', () => {
+        isPanning = false;
+        canvas.style.cursor = 'grab';
+    });
+    
+    canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const rect = canvas.getBoundingClientRect();
+        const canvasX = e.clientX - rect.left;
+        const canvasY = e.clientY - rect.top;
+        
+        // Keep the world point under the cursor in place
+        const worldX = (canvasX - panX) / scale;
+        const worldY = (canvasY - panY) / scale;
+        scale = Math.max(0.1, Math.min(5, scale * (e.deltaY > 0 ? 0.9 : 1.1)));
+        panX = canvasX - worldX * scale;
+        panY = canvasY - worldY * scale;
+        redrawCanvas();
+    }, { passive: false });
+}
+
+initCanvas();
+loadSessionList();
@@ -0,0 +1,197 @@
+// Grid index over the bounding boxes of canvas items, so hit tests only look
+// at items near the point instead of every point of every path. Used by the
+// live canvas (app.js) and by server.js, which loads this file with require
+const INDEX_CELL_SIZE = 256;
+
+// An item covering more cells than this is kept in a short list that every
+// query checks, rather than in each of its cells
+const MAX_INDEXED_CELLS = 1024;
+
+// The box around an item: a path's points, a shape's corners, or the space
+// its text can take up. Null for a path with no points yet
+function itemBounds(item) {
+    if (item.type === 'shape') {
+        return {
+            minX: Math.min(item.x1, item.x2),
+            minY: Math.min(item.y1, item.y2),
+            maxX: Math.max(item.x1, item.x2),
+            maxY: Math.max(item.y1, item.y2)
+        };
+    }
+    if (item.type === 'draw') {
+        const points = item.pathPoints || [];
+        if (points.length === 0) return null;
+
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        points.forEach(p => extendBounds(bounds, p));
+        return bounds;
+    }
+
+    // Text can only be measured in the browser, so this allows up to 1em a character
+    const fontSize = item.fontSize || 16;
+    const length = String(item.text || '').length;
+    return { minX: item.x, minY: item.y - fontSize, maxX: item.x + length * fontSize, maxY: item.y + fontSize / 2 };
+}
+
+function extendBounds(bounds, point) {
+    bounds.minX = Math.min(bounds.minX, point.x);
+    bounds.minY = Math.min(bounds.minY, point.y);
+    bounds.maxX = Math.max(bounds.maxX, point.x);
+    bounds.maxY = Math.max(bounds.maxY, point.y);
+}
+
+function boundsOverlap(a, b) {
+    return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+}
+
+class SpatialIndex {
+    constructor() {
+        this.entries = new Map(); // item id -> { item, bounds, cells: Set of cell keys, order }
+        this.cells = new Map(); // "col,row" -> Set of item ids
+        this.large = new Set(); // ids of items too big to index by cell
+        this.nextOrder = 0; // items come back from queries in the order they were added
+    }
+
+    clear() {
+        this.entries.clear();
+        this.cells.clear();
+        this.large.clear();
+        this.nextOrder = 0;
+    }
+
+    load(items) {
+        this.clear();
+        items.forEach(item => this.add(item));
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        return entry ? entry.item : undefined;
+    }
+
+    add(item) {
+        const id = item.pathId || item.id;
+        this.remove(id);
+
+        const entry = { item, bounds: itemBounds(item), cells: new Set(), order: this.nextOrder++ };
+        this.entries.set(id, entry);
+        this.place(id, entry);
+    }
+
+    // Swaps in an updated copy of an item, keeping its place in the order
+    update(item) {
+        const id = item.pathId || item.id;
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.unplace(id, entry);
+        entry.item = item;
+        entry.bounds = itemBounds(item);
+        this.place(id, entry);
+    }
+
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.unplace(id, entry);
+        this.entries.delete(id);
+    }
+
+    // A path being drawn grew by one point. Its box only ever grows, so it
+    // just joins the cells it now reaches
+    extend(item, point) {
+        const id = item.pathId || item.id;
+        const entry = this.entries.get(id);
+        if (!entry) {
+            this.add(item);
+            return;
+        }
+
+        if (entry.bounds) {
+            extendBounds(entry.bounds, point);
+        } else {
+            entry.bounds = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y };
+        }
+        this.place(id, entry);
+    }
+
+    // Items whose box comes within radius of the point, in the order they were added
+    near(x, y, radius) {
+        return this.query({ minX: x - radius, minY: y - radius, maxX: x + radius, maxY: y + radius });
+    }
+
+    // Items whose box overlaps the given box, in the order they were added
+    query(box) {
+        const ids = new Set(this.large);
+        const range = this.cellRange(box);
+        if (!range) {
+            // Cheaper to look at every item than at every cell
+            this.entries.forEach((entry, id) => ids.add(id));
+        } else {
+            for (let col = range.minCol; col <= range.maxCol; col++) {
+                for (let row = range.minRow; row <= range.maxRow; row++) {
+                    const cell = this.cells.get(`${col},${row}`);
+                    if (cell) cell.forEach(id => ids.add(id));
+                }
+            }
+        }
+
+        const found = [];
+        ids.forEach(id => {
+            const entry = this.entries.get(id);
+            if (entry && entry.bounds && boundsOverlap(entry.bounds, box)) found.push(entry);
+        });
+        return found.sort((a, b) => a.order - b.order).map(entry => entry.item);
+    }
+
+    // Null when the box is too big to walk cell by cell
+    cellRange(box) {
+        const range = {
+            minCol: Math.floor(box.minX / INDEX_CELL_SIZE),
+            minRow: Math.floor(box.minY / INDEX_CELL_SIZE),
+            maxCol: Math.floor(box.maxX / INDEX_CELL_SIZE),
+            maxRow: Math.floor(box.maxY / INDEX_CELL_SIZE)
+        };
+        if (!Object.values(range).every(Number.isFinite)) return null;
+
+        const count = (range.maxCol - range.minCol + 1) * (range.maxRow - range.minRow + 1);
+        return count <= MAX_INDEXED_CELLS ? range : null;
+    }
+
+    place(id, entry) {
+        if (!entry.bounds || this.large.has(id)) return;
+
+        const range = this.cellRange(entry.bounds);
+        if (!range) {
+            this.unplace(id, entry);
+            this.large.add(id);
+            return;
+        }
+
+        for (let col = range.minCol; col <= range.maxCol; col++) {
+            for (let row = range.minRow; row <= range.maxRow; row++) {
+                const key = `${col},${row}`;
+                if (entry.cells.has(key)) continue;
+
+                if (!this.cells.has(key)) this.cells.set(key, new Set());
+                this.cells.get(key).add(id);
+                entry.cells.add(key);
+            }
+        }
+    }
+
+    unplace(id, entry) {
+        entry.cells.forEach(key => {
+            const cell = this.cells.get(key);
+            cell.delete(id);
+            if (cell.size === 0) this.cells.delete(key);
+        });
+        entry.cells.clear();
+        this.large.delete(id);
+    }
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { SpatialIndex, itemBounds };
+}
@@ -0,0 +1,56 @@
+// Who a voting round removes. A strategy turns the number of eligible voters
+// into the votes needed for removal; the turnout, cap and tie-break rules then
+// decide who of those reaching it actually goes. New strategies and tie-breaks
+// only need an entry here, as the rules are checked against these tables
+
+// Votes needed to remove someone. Everyone but the person themselves may vote
+// against them, so a percentage is of the other participants
+const REMOVAL_STRATEGIES = {
+  fixed: (rules) => rules.removalThreshold,
+  percentage: (rules, otherVoters) => Math.max(1, Math.ceil(rules.removalPercentage / 100 * otherVoters))
+};
+
+// Picks `seats` of the participants tied at the cut-off when the cap falls
+// between them. Each is { number, votes }
+const TIE_BREAKS = {
+  spare: () => [], // nobody tied at the cut-off is removed
+  random: (tied, seats) => {
+    const shuffled = [...tied];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled.slice(0, seats);
+  },
+  lowestNumber: (tied, seats) => [...tied].sort((a, b) => a.number - b.number).slice(0, seats)
+};
+
+// What happens when too few people voted for the round to count
+const NO_QUORUM_OUTCOMES = ['skip', 'count'];
+
+// counts is [{ number, votes }] for the participants still in the room,
+// electorate how many are in it, and ballots how many of them voted.
+// Returns the numbers to remove along with how the decision was reached
+function decideRemovals(rules, counts, electorate, ballots) {
+  const turnout = electorate > 0 ? ballots / electorate * 100 : 0;
+  const quorumMet = turnout >= rules.minTurnout;
+  const votesNeeded = REMOVAL_STRATEGIES[rules.removalStrategy](rules, Math.max(0, electorate - 1));
+  const outcome = { removed: [], votesNeeded, electorate, ballots, quorumMet };
+  if (!quorumMet && rules.noQuorum === 'skip') return outcome;
+
+  const reached = counts.filter(count => count.votes >= votesNeeded).sort((a, b) => b.votes - a.votes);
+  const cap = rules.maxRemovalsPerRound;
+  if (!cap || reached.length <= cap) {
+    outcome.removed = reached.map(count => count.number);
+    return outcome;
+  }
+
+  const cutoff = reached[cap - 1].votes;
+  const above = reached.filter(count => count.votes > cutoff);
+  const tied = reached.filter(count => count.votes === cutoff);
+  const chosen = TIE_BREAKS[rules.tieBreak](tied, cap - above.length);
+  outcome.removed = above.concat(chosen).map(count => count.number);
+  return outcome;
+}
+
+module.exports = { REMOVAL_STRATEGIES, TIE_BREAKS, NO_QUORUM_OUTCOMES, decideRemovals };
@@ -3,6 +3,14 @@ const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { RoomStore } = require('./store');
+const { REMOVAL_STRATEGIES, TIE_BREAKS, NO_QUORUM_OUTCOMES, decideRemovals } = require('./removal');
+const { SpatialIndex } = require('./public/spatial');
+const { POINT_SCALE, encodePoints, decodePoints } = require('./public/points');
+const { ballotText, commitmentText, tallyBallots } = require('./public/ballots');
+const { TEXT_SIZE_LIMITS, shapeBounds, distanceToSegment, itemInBox, eraseItems, transformItem } = require('./public/geometry');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,21 +23,1145 @@ const io = socketIo(server, {
 
 app.use(cors());
 app.use(express.json());
+// The facilitator console's own files are only served when it is enabled,
+// like /admin itself
+const ADMIN_FILES = ['admin.html', 'admin.js'];
+app.use((req, res, next) => {
+  let file;
+  try {
+    file = path.posix.basename(decodeURIComponent(req.path));
+  } catch (err) {
+    file = '';
+  }
+  if (!ADMIN_TOKEN && ADMIN_FILES.includes(file)) {
+    res.status(404).send('The admin console is not enabled');
+    return;
+  }
+  next();
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Room rules. Defaults can be overridden by a JSON config file (room.config.json,
+// or the path in ROOM_CONFIG) and then by environment variables
+const DEFAULT_RULES = {
+  maxParticipants: 20,
+  votingRoundMinutes: [20, 40, 60], // minutes after the room starts
+  votingWindowMinutes: 2,
+  removalStrategy: 'fixed', // 'fixed': removalThreshold votes; 'percentage': removalPercentage of the others
+  removalThreshold: 4, // votes needed to remove someone
+  removalPercentage: 50,
+  minTurnout: 0, // percentage of participants who must vote for a round to count
+  noQuorum: 'skip', // below minTurnout: 'skip' removes nobody, 'count' counts the votes anyway
+  maxRemovalsPerRound: 0, // 0 for no cap
+  tieBreak: 'spare', // when the cap falls between tied participants: 'spare', 'random' or 'lowestNumber'
+  verifiableVoting: false, // receipts for ballots and a published, checkable tally
+  maxSectionMembers: 3, // creator included
+  sessionHours: 4,
+  maxItemsPerParticipant: 5000,
+  maxPointsPerParticipant: 500000, // path points, across all of a participant's paths
+  maxItemsPerRoom: 50000,
+  maxPointsPerRoom: 3000000,
+  // Events per second each connection may send, and how many may come at once.
+  // Events not listed share the default budget
+  rateLimits: {
+    canvasAction: { perSecond: 30, burst: 60 },
+    strokePoints: { perSecond: 90, burst: 180 },
+    erase: { perSecond: 40, burst: 80 },
+    default: { perSecond: 10, burst: 30 }
+  }
+};
+
+const RULE_ENV_VARS = {
+  maxParticipants: 'ROOM_MAX_PARTICIPANTS',
+  votingRoundMinutes: 'ROOM_VOTING_ROUND_MINUTES', // comma-separated, e.g. "5,10,15"
+  votingWindowMinutes: 'ROOM_VOTING_WINDOW_MINUTES',
+  removalStrategy: 'ROOM_REMOVAL_STRATEGY',
+  removalThreshold: 'ROOM_REMOVAL_THRESHOLD',
+  removalPercentage: 'ROOM_REMOVAL_PERCENTAGE',
+  minTurnout: 'ROOM_MIN_TURNOUT',
+  noQuorum: 'ROOM_NO_QUORUM',
+  maxRemovalsPerRound: 'ROOM_MAX_REMOVALS_PER_ROUND',
+  tieBreak: 'ROOM_TIE_BREAK',
+  verifiableVoting: 'ROOM_VERIFIABLE_VOTING', // "true" or "false"
+  maxSectionMembers: 'ROOM_MAX_SECTION_MEMBERS',
+  sessionHours: 'ROOM_SESSION_HOURS',
+  maxItemsPerParticipant: 'ROOM_MAX_ITEMS_PER_PARTICIPANT',
+  maxPointsPerParticipant: 'ROOM_MAX_POINTS_PER_PARTICIPANT',
+  maxItemsPerRoom: 'ROOM_MAX_ITEMS_PER_ROOM',
+  maxPointsPerRoom: 'ROOM_MAX_POINTS_PER_ROOM',
+  rateLimits: 'ROOM_RATE_LIMITS' // comma-separated event=perSecond/burst, e.g. "erase=20/40"
+};
+
+// Rules given by name rather than as a number
+const NAMED_RULES = ['removalStrategy', 'noQuorum', 'tieBreak'];
+
+// "erase=20/40,vote=1/3" -> { erase: { perSecond: 20, burst: 40 }, vote: { perSecond: 1, burst: 3 } }
+function parseRateLimits(value) {
+  const limits = {};
+  value.split(',').forEach(entry => {
+    const [event, rate = ''] = entry.split('=').map(part => part.trim());
+    const [perSecond, burst] = rate.split('/').map(Number);
+    limits[event] = { perSecond, burst };
+  });
+  return limits;
+}
+
+function loadRules() {
+  let fileRules = {};
+  const configPath = process.env.ROOM_CONFIG || path.join(__dirname, 'room.config.json');
+  if (process.env.ROOM_CONFIG || fs.existsSync(configPath)) {
+    fileRules = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  }
+
+  const envRules = {};
+  Object.entries(RULE_ENV_VARS).forEach(([key, name]) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return;
+    if (key === 'votingRoundMinutes') {
+      envRules[key] = value.split(',').map(v => Number(v.trim()));
+    } else if (key === 'rateLimits') {
+      envRules[key] = parseRateLimits(value);
+    } else if (NAMED_RULES.includes(key)) {
+      envRules[key] = value;
+    } else if (key === 'verifiableVoting') {
+      envRules[key] = value === 'true' ? true : value === 'false' ? false : value;
+    } else {
+      envRules[key] = Number(value);
+    }
+  });
+
+  // Rate limits are overridden event by event
+  const rateLimits = { ...DEFAULT_RULES.rateLimits, ...fileRules.rateLimits, ...envRules.rateLimits };
+  return validateRules({ ...DEFAULT_RULES, ...fileRules, ...envRules, rateLimits });
+}
+
+// Throws with every problem at once so a bad config fails fast at startup
+function validateRules(rules) {
+  const errors = [];
+  const isPositive = value => Number.isFinite(value) && value > 0;
+  const isWhole = (value, min) => Number.isInteger(value) && value >= min;
+
+  Object.keys(rules).forEach(key => {
+    if (!(key in DEFAULT_RULES)) errors.push(`unknown rule "${key}"`);
+  });
+
+  if (!isWhole(rules.maxParticipants, 2) || rules.maxParticipants > 100) {
+    errors.push('maxParticipants must be a whole number from 2 to 100');
+  }
+  if (!isPositive(rules.votingWindowMinutes)) {
+    errors.push('votingWindowMinutes must be a positive number');
+  }
+  if (!(rules.removalStrategy in REMOVAL_STRATEGIES)) {
+    errors.push(`removalStrategy must be one of ${Object.keys(REMOVAL_STRATEGIES).join(', ')}`);
+  }
+  if (!isWhole(rules.removalThreshold, 1)) {
+    errors.push('removalThreshold must be a whole number of at least 1');
+  }
+  if (!isPositive(rules.removalPercentage) || rules.removalPercentage > 100) {
+    errors.push('removalPercentage must be more than 0 and at most 100');
+  }
+  if (!Number.isFinite(rules.minTurnout) || rules.minTurnout < 0 || rules.minTurnout > 100) {
+    errors.push('minTurnout must be from 0 to 100');
+  }
+  if (!NO_QUORUM_OUTCOMES.includes(rules.noQuorum)) {
+    errors.push(`noQuorum must be one of ${NO_QUORUM_OUTCOMES.join(', ')}`);
+  }
+  if (!isWhole(rules.maxRemovalsPerRound, 0)) {
+    errors.push('maxRemovalsPerRound must be a whole number, or 0 for no cap');
+  }
+  if (!(rules.tieBreak in TIE_BREAKS)) {
+    errors.push(`tieBreak must be one of ${Object.keys(TIE_BREAKS).join(', ')}`);
+  }
+  if (typeof rules.verifiableVoting !== 'boolean') {
+    errors.push('verifiableVoting must be true or false');
+  }
+  if (!isWhole(rules.maxSectionMembers, 2)) {
+    errors.push('maxSectionMembers must be a whole number of at least 2');
+  }
+  if (!isPositive(rules.sessionHours)) {
+    errors.push('sessionHours must be a positive number');
+  }
+  ['maxItemsPerParticipant', 'maxPointsPerParticipant', 'maxItemsPerRoom', 'maxPointsPerRoom'].forEach(key => {
+    if (!isWhole(rules[key], 1)) errors.push(`${key} must be a whole number of at least 1`);
+  });
+  Object.entries(rules.rateLimits || {}).forEach(([event, limit]) => {
+    if (!limit || !isPositive(limit.perSecond) || !(Number.isFinite(limit.burst) && limit.burst >= 1)) {
+      errors.push(`rateLimits.${event} needs a positive perSecond and a burst of at least 1`);
+    }
+  });
+
+  const rounds = rules.votingRoundMinutes;
+  if (!Array.isArray(rounds) || rounds.length === 0 || !rounds.every(isPositive)) {
+    errors.push('votingRoundMinutes must be a non-empty list of positive numbers');
+  } else if (isPositive(rules.votingWindowMinutes)) {
+    // Each round's window has to close before the next round opens
+    for (let i = 1; i < rounds.length; i++) {
+      if (rounds[i] < rounds[i - 1] + rules.votingWindowMinutes) {
+        errors.push(`voting round ${i + 1} starts before round ${i} has closed`);
+      }
+    }
+    const lastClose = rounds[rounds.length - 1] + rules.votingWindowMinutes;
+    if (isPositive(rules.sessionHours) && lastClose > rules.sessionHours * 60) {
+      errors.push('the last voting round must close before the session ends');
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid room rules:\n  ${errors.join('\n  ')}`);
+  }
+
+  return Object.freeze({
+    ...rules,
+    votingRoundMinutes: Object.freeze([...rounds]),
+    rateLimits: Object.freeze({ ...rules.rateLimits })
+  });
+}
+
+const RULES = loadRules();
+
+// Nothing is preserved by default; facilitators opt in to exporting the canvas
+const EXPORT_ENABLED = process.env.ALLOW_EXPORT === 'true';
+
+// Sessions are only recorded when replay is enabled, and can then be watched
+// back at /replay.html
+const REPLAY_ENABLED = process.env.ALLOW_REPLAY === 'true';
+
+// The facilitator console at /admin is only served when a token is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Behind a proxy, such as Render's, clients' addresses come from X-Forwarded-For.
+// TRUST_PROXY takes Express's 'trust proxy' setting: a number of hops, or addresses
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+// Private sections claim a rectangle of the canvas, between these sizes
+const MIN_SECTION_SIZE = 100;
+const MAX_SECTION_SIZE = 2000;
+
+// How long invitees have to answer a private section invitation
+const INVITE_TIMEOUT = 60 * 1000;
+
+function isValidRegion(region) {
+  if (!region) return false;
+  const { x, y, width, height } = region;
+  if (![x, y, width, height].every(Number.isFinite)) return false;
+  return width >= MIN_SECTION_SIZE && width <= MAX_SECTION_SIZE &&
+    height >= MIN_SECTION_SIZE && height <= MAX_SECTION_SIZE;
+}
+
+function regionContains(region, x, y) {
+  return x >= region.x && x <= region.x + region.width &&
+    y >= region.y && y <= region.y + region.height;
+}
+
+function regionsOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width &&
+    a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+// Styling carried on canvas items. Items from before styling existed have
+// none of these fields and are drawn with the defaults
+const DEFAULT_STYLE = { color: '#e0e0e0', width: 2, opacity: 1, fontSize: 16 };
+const STYLE_LIMITS = { width: [1, 40], opacity: [0.1, 1], fontSize: TEXT_SIZE_LIMITS };
+
+function clampStyleValue(value, [min, max], fallback) {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+// Returns the style fields for a new path or text item, replacing anything
+// malformed with the default
+function sanitiseStyle(action) {
+  const style = {
+    color: /^#[0-9a-f]{6}$/i.test(action.color) ? action.color.toLowerCase() : DEFAULT_STYLE.color,
+    opacity: clampStyleValue(action.opacity, STYLE_LIMITS.opacity, DEFAULT_STYLE.opacity)
+  };
+  if (action.type !== 'text') {
+    style.width = clampStyleValue(action.width, STYLE_LIMITS.width, DEFAULT_STYLE.width);
+  } else {
+    style.fontSize = clampStyleValue(action.fontSize, STYLE_LIMITS.fontSize, DEFAULT_STYLE.fontSize);
+  }
+  return style;
+}
+
+// Only paths have points to count against the quotas
+function itemPointCount(item) {
+  return item.type === 'draw' ? (item.pathPoints || []).length : 0;
+}
+
+// Paths are identified by their pathId, everything else by id
+function itemId(item) {
+  return item.pathId || item.id;
+}
+
+// Items record who made them by an id given to each seat. Unlike seat
+// numbers, which go back to newcomers, it is never handed to anyone else
+function newAuthorId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Shapes are stored as two corners: the ends of a line or arrow, or opposite
+// corners of a rectangle's or ellipse's bounding box
+const SHAPE_KINDS = ['line', 'arrow', 'rect', 'ellipse'];
+
+// Finished strokes are simplified with Ramer–Douglas–Peucker: points closer
+// than this to the line between the points kept around them are dropped
+const SIMPLIFY_TOLERANCE = 0.75;
+
+function simplifyPoints(points, tolerance) {
+  if (points.length <= 2) return points.slice();
+
+  const keep = points.map((p, i) => i === 0 || i === points.length - 1);
+  const spans = [[0, points.length - 1]];
+  while (spans.length > 0) {
+    const [first, last] = spans.pop();
+    let furthest = -1;
+    let furthestDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(points[i].x, points[i].y, points[first], points[last]);
+      if (distance > furthestDistance) {
+        furthest = i;
+        furthestDistance = distance;
+      }
+    }
+    if (furthest !== -1) {
+      keep[furthest] = true;
+      spans.push([first, furthest], [furthest, last]);
+    }
+  }
+  return points.filter((p, i) => keep[i]);
+}
+
+// SVG path of a stroke: the same curve through every point as traceStroke
+// in public/render.js
+function strokePathData(points) {
+  const parts = [`M${points[0].x} ${points[0].y}`];
+  for (let i = 0; i < points.length - 1; i++) {
+    const before = points[Math.max(0, i - 1)];
+    const from = points[i];
+    const to = points[i + 1];
+    const after = points[Math.min(points.length - 1, i + 2)];
+    const c1 = { x: from.x + (to.x - before.x) / 6, y: from.y + (to.y - before.y) / 6 };
+    const c2 = { x: to.x - (after.x - from.x) / 6, y: to.y - (after.y - from.y) / 6 };
+    parts.push(`C${c1.x} ${c1.y} ${c2.x} ${c2.y} ${to.x} ${to.y}`);
+  }
+  return parts.join(' ');
+}
+
+// Moves and resizes are sent as a scale about an origin followed by a shift
+const MIN_TRANSFORM_SCALE = 0.05;
+const MAX_TRANSFORM_SCALE = 20;
+
+function isValidTransform(transform) {
+  if (!transform) return false;
+  const { dx, dy, scaleX, scaleY, originX, originY } = transform;
+  if (![dx, dy, scaleX, scaleY, originX, originY].every(Number.isFinite)) return false;
+  return [scaleX, scaleY].every(scale => scale >= MIN_TRANSFORM_SCALE && scale <= MAX_TRANSFORM_SCALE);
+}
+
+// A dropped participant keeps their seat for this long before it is released
+const RECONNECT_GRACE = Number(process.env.RECONNECT_GRACE_MS) || 2 * 60 * 1000;
+
+// Room state is saved here so a restart or redeploy doesn't end the session
+const store = new RoomStore(process.env.DATA_DIR || path.join(__dirname, 'data'));
+
+// How often pending log entries are written, and how long the log may grow
+// before it is folded into a fresh snapshot
+const PERSIST_INTERVAL = 2000;
+const MAX_LOG_LENGTH = 5000;
+
+// How many of their own canvas actions a participant can undo
+const UNDO_LIMIT = 100;
+
+// Most eraser touches accepted in one erase event
+const MAX_ERASE_POINTS = 50;
+
+// Stroke points arrive in batches of at most this many, and go back out to
+// everyone in batches this often
+const MAX_STROKE_BATCH = 256;
+const STROKE_BROADCAST_INTERVAL = 40;
+
+// Inbound payloads are checked against these schemas before a handler acts on
+// them. Only the listed fields are kept; numbers are clamped into range and
+// text and lists are cut to length, but a field that is missing or of the
+// wrong type gets the whole request refused with a message naming it
+const MAX_COORDINATE = 1e6;
+const MAX_TEXT_LENGTH = 500;
+const MAX_ERASE_RADIUS = 100;
+
+// A field parser returns the cleaned value, or undefined when the value can't
+// be used. `expected` says what it accepts, for the error message
+function fieldParser(expected, parse) {
+  parse.expected = expected;
+  return parse;
+}
+
+const field = {
+  number: (min, max) => fieldParser('a number',
+    value => Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : undefined),
+  wholeNumber: (min, max) => fieldParser(`a whole number from ${min} to ${max}`,
+    value => Number.isInteger(value) && value >= min && value <= max ? value : undefined),
+  boolean: () => fieldParser('true or false',
+    value => typeof value === 'boolean' ? value : undefined),
+  text: maxLength => fieldParser('non-empty text',
+    value => typeof value === 'string' && value.trim() !== '' ? value.slice(0, maxLength) : undefined),
+  id: () => fieldParser('an id of up to 100 letters, digits, _, - or ~',
+    value => typeof value === 'string' && /^[\w~-]{1,100}$/.test(value) ? value : undefined),
+  // Ids with a ~ are kept for the pieces the eraser cuts, so a client naming
+  // a new item can't take one before the server makes it
+  newId: () => fieldParser('an id of up to 100 letters, digits, _ or -',
+    value => typeof value === 'string' && /^[\w-]{1,100}$/.test(value) ? value : undefined),
+  color: () => fieldParser('a colour such as #1a2b3c',
+    value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined),
+  oneOf: options => fieldParser(`one of ${options.join(', ')}`,
+    value => options.includes(value) ? value : undefined),
+  // Lists longer than maxLength are cut short, and repeats dropped if unique is set
+  list: (item, maxLength, unique) => fieldParser(`a list whose entries are each ${item.expected}`, value => {
+    if (!Array.isArray(value)) return undefined;
+    const items = value.slice(0, maxLength).map(item);
+    if (items.some(entry => entry === undefined)) return undefined;
+    return unique ? Array.from(new Set(items)) : items;
+  }),
+  object: schema => fieldParser(`an object with ${Object.keys(schema).join(', ')}`, value => {
+    const result = parsePayload(value, schema);
+    return result.error ? undefined : result.value;
+  })
+};
+
+function optional(parse) {
+  return { parse, optional: true };
+}
+
+// Returns { value } holding only the schema's fields, or { error }
+function parsePayload(data, schema) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { error: 'Request must be an object' };
+  }
+
+  const value = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const { parse, optional } = typeof spec === 'function' ? { parse: spec, optional: false } : spec;
+    if (data[key] === undefined || data[key] === null) {
+      if (optional) continue;
+      return { error: `${key} is required` };
+    }
+
+    const parsed = parse(data[key]);
+    if (parsed === undefined) return { error: `${key} must be ${parse.expected}` };
+    value[key] = parsed;
+  }
+  return { value };
+}
+
+const coordinate = field.number(-MAX_COORDINATE, MAX_COORDINATE);
+
+// Stroke points come encoded as steps from the point before, in tenths of a
+// pixel, so no step can be longer than the canvas is wide
+const MAX_POINT_STEP = 2 * MAX_COORDINATE * POINT_SCALE;
+const seatNumber = field.wholeNumber(1, RULES.maxParticipants);
+
+const STROKE_STYLE_SCHEMA = {
+  color: optional(field.color()),
+  width: optional(field.number(...STYLE_LIMITS.width)),
+  opacity: optional(field.number(...STYLE_LIMITS.opacity))
+};
+
+const PAYLOAD_SCHEMAS = {
+  join: {
+    ageVerified: field.boolean(),
+    // Tokens are far shorter; a longer one is cut and then fails its signature
+    sessionToken: optional(field.text(1000))
+  },
+  drawStart: {
+    type: field.oneOf(['draw']),
+    action: field.oneOf(['start', 'end']),
+    pathId: field.newId(),
+    x: coordinate,
+    y: coordinate,
+    ...STROKE_STYLE_SCHEMA
+  },
+  drawEnd: {
+    type: field.oneOf(['draw']),
+    action: field.oneOf(['end']),
+    pathId: field.id()
+  },
+  strokePoints: {
+    pathId: field.id(),
+    points: field.list(field.wholeNumber(-MAX_POINT_STEP, MAX_POINT_STEP), MAX_STROKE_BATCH * 2)
+  },
+  text: {
+    type: field.oneOf(['text']),
+    x: coordinate,
+    y: coordinate,
+    text: field.text(MAX_TEXT_LENGTH),
+    color: optional(field.color()),
+    opacity: optional(field.number(...STYLE_LIMITS.opacity)),
+    fontSize: optional(field.number(...STYLE_LIMITS.fontSize))
+  },
+  shape: {
+    type: field.oneOf(['shape']),
+    shape: field.oneOf(SHAPE_KINDS),
+    // Clients name their shapes so they can show them before the server answers
+    id: optional(field.newId()),
+    x1: coordinate,
+    y1: coordinate,
+    x2: coordinate,
+    y2: coordinate,
+    ...STROKE_STYLE_SCHEMA
+  },
+  erase: {
+    points: field.list(field.object({ x: coordinate, y: coordinate }), MAX_ERASE_POINTS),
+    eraseRadius: optional(field.number(1, MAX_ERASE_RADIUS)),
+    precise: optional(field.boolean()),
+    eraseId: optional(field.id())
+  },
+  vote: {
+    votedNumbers: field.list(seatNumber, RULES.maxParticipants, true)
+  },
+  createPrivateSection: {
+    inviteeNumbers: field.list(seatNumber, RULES.maxParticipants, true),
+    // The size limits are checked with the rest of the claim
+    region: field.object({
+      x: coordinate,
+      y: coordinate,
+      width: field.number(0, MAX_COORDINATE),
+      height: field.number(0, MAX_COORDINATE)
+    })
+  },
+  respondToSectionInvite: {
+    inviteId: field.id(),
+    accept: field.boolean()
+  },
+  cancelSectionInvite: {
+    inviteId: field.id()
+  },
+  inviteToPrivateSection: {
+    inviteeNumbers: field.list(seatNumber, RULES.maxParticipants, true)
+  },
+  // A selection is at most everything its owner may have on the canvas
+  transformItems: {
+    ids: field.list(field.id(), RULES.maxItemsPerParticipant, true),
+    transform: field.object({
+      dx: field.number(-2 * MAX_COORDINATE, 2 * MAX_COORDINATE),
+      dy: field.number(-2 * MAX_COORDINATE, 2 * MAX_COORDINATE),
+      scaleX: field.number(MIN_TRANSFORM_SCALE, MAX_TRANSFORM_SCALE),
+      scaleY: field.number(MIN_TRANSFORM_SCALE, MAX_TRANSFORM_SCALE),
+      originX: coordinate,
+      originY: coordinate
+    })
+  },
+  deleteItems: {
+    ids: field.list(field.id(), RULES.maxItemsPerParticipant, true)
+  }
+};
+
+function parseCanvasAction(data) {
+  const type = data && data.type;
+  if (type === 'draw') {
+    return parsePayload(data, data.action === 'end' ? PAYLOAD_SCHEMAS.drawEnd : PAYLOAD_SCHEMAS.drawStart);
+  }
+  if (type === 'text' || type === 'shape') return parsePayload(data, PAYLOAD_SCHEMAS[type]);
+  return { error: 'type must be one of draw, text, shape' };
+}
+
+// Events the client fires and forgets may come without an acknowledgement callback
+function acknowledge(callback) {
+  return typeof callback === 'function' ? callback : () => {};
+}
+
+// Session tokens are signed so a seat can only be reclaimed by whoever was given it.
+// The key is kept in the data directory so tokens stay valid across restarts
+const SESSION_SECRET = process.env.SESSION_SECRET || store.readOrCreateSecret('session-secret');
+
+function signSession(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function createSessionToken(participant) {
+  const payload = Buffer.from(JSON.stringify({
+    seatId: participant.seatId,
+    number: participant.number
+  })).toString('base64url');
+  return `${payload}.${signSession(payload)}`;
+}
+
+// Returns the session in a token, or null if it is malformed or was not signed by us
+function verifySessionToken(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signSession(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (err) {
+    return null;
+  }
+}
+
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// A ballot in verifiable voting, with its hash. The voter gets all of it as
+// their receipt; once the round closes it is published without the voter
+function createBallot(round, targets) {
+  const ballot = {
+    round,
+    ballotId: crypto.randomBytes(16).toString('hex'),
+    targets: [...targets].sort((a, b) => a - b)
+  };
+  return { ...ballot, hash: sha256Hex(ballotText(ballot)) };
+}
+
+// Token buckets for one connection, one per event type. A bucket holds up to
+// `burst` tokens and refills at `perSecond`; each event takes a token
+class RateLimiter {
+  constructor(limits) {
+    this.limits = limits;
+    this.buckets = new Map(); // listed event or 'default' -> { tokens, updatedAt }
+  }
+
+  // Whether the event may go ahead. Events without a limit of their own all
+  // draw on the one default bucket, whatever names a client makes up
+  take(event) {
+    const key = Object.prototype.hasOwnProperty.call(this.limits, event) ? event : 'default';
+    const { perSecond, burst } = this.limits[key];
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * perSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+}
+
+// Participants are told at most this often, for each reason, that events were dropped
+const LIMIT_NOTICE_INTERVAL = 2000;
+
+function sendLimitNotice(socket, reason) {
+  if (!socket.data.limitNotices) socket.data.limitNotices = new Map(); // reason -> when last sent
+  const now = Date.now();
+  if (now - (socket.data.limitNotices.get(reason) || 0) < LIMIT_NOTICE_INTERVAL) return;
+  socket.data.limitNotices.set(reason, now);
+  socket.emit('limited', { reason });
+}
+
+// Room phases and the phases each may move on to. A session runs lobby ->
+// open -> voting -> post-vote -> voting ... -> sections -> closing -> closed,
+// and a closed room opens again when someone joins
+const PHASE_TRANSITIONS = {
+  lobby: ['open'],
+  open: ['voting', 'closing'],
+  voting: ['postVote', 'sections', 'closing'],
+  postVote: ['voting', 'closing'],
+  sections: ['closing'],
+  closing: ['closed'],
+  closed: ['open']
+};
+const ACTIVE_PHASES = ['open', 'voting', 'postVote', 'sections'];
+const JOINABLE_PHASES = ['lobby', 'open', 'closed'];
+
+// How long a closed room stays up before it is cleared, and the pause before
+// a voting round that was missed while the server was down
+const CLOSING_DELAY = 5000;
+const CATCH_UP_PAUSE = 5000;
+
+// Snapshots from before phases were saved only have these flags to go on
+function phaseFromFlags(snapshot, rules) {
+  if (snapshot.roomActive) {
+    if (snapshot.votingPhase) return 'voting';
+    if (snapshot.votingRounds === 0) return 'open';
+    return snapshot.votingRounds >= rules.votingRoundMinutes.length ? 'sections' : 'postVote';
+  }
+  return snapshot.startTime ? 'closing' : 'lobby';
+}
+
 // Room state management
 class Room {
-  constructor() {
+  constructor(rules) {
+    this.rules = rules;
     this.participants = new Map(); // socketId -> participant data
     this.canvasData = []; // All canvas elements
-    this.privateSections = new Map(); // sectionId -> {members: Set, locked: true}
-    this.votingRounds = 0; // 0, 1, 2, 3
-    this.votingPhase = false;
+    this.canvasIndex = new SpatialIndex(); // the same items, for hit-testing
+    this.livePaths = new Map(); // pathId -> path item still being drawn
+    this.trimmedPaths = new Set(); // ids of live paths some of whose points were turned away
+    this.pendingStrokes = new Map(); // pathId -> points accepted but not yet sent on
+    this.strokeTimer = null;
+    this.usage = new Map(); // author id -> { items, points } they have on the canvas
+    this.totalUsage = { items: 0, points: 0 };
+    this.privateSections = new Map(); // sectionId -> {members: Set, ownerId, region, locked: true}
+    this.pendingInvites = new Map(); // inviteId -> {creatorId, region, responses: Map socketId -> status, expiresAt, timer}
+    this.phase = 'lobby';
+    this.transition = null; // the next phase change: { phase, round, at, timer }
+    this.votingRounds = 0; // 0 until the first round, then the current round number
+    this.votingClosesAt = null; // when the open round's window closes
     this.votes = new Map(); // socketId -> Set of voted socketIds
+    this.ballots = new Map(); // socketId -> ballot of the open round, in verifiable voting
+    this.publishedRounds = new Map(); // round -> its published ballots, tally and commitment
     this.startTime = null;
-    this.roomActive = false;
-    this.availableNumbers = new Set([...Array(20).keys()].map(i => i + 1));
+    this.extraTime = 0; // ms the facilitator has added to the session
+    this.availableNumbers = new Set([...Array(rules.maxParticipants).keys()].map(i => i + 1));
     this.nextNumber = 1;
+    this.expelledAddresses = new Set(); // where those the facilitator removed connect from
+    this.dirty = false; // state other than the canvas changed since the last snapshot
+  }
+
+  markDirty() {
+    this.dirty = true;
+  }
+
+  get roomActive() {
+    return ACTIVE_PHASES.includes(this.phase);
+  }
+
+  get votingPhase() {
+    return this.phase === 'voting';
+  }
+
+  // Adds an event to the recording of the current session, which is
+  // identified by its start time
+  record(type, data = {}) {
+    if (!REPLAY_ENABLED || !this.startTime) return;
+    store.record(this.startTime, { t: Date.now(), type, ...data });
+  }
+
+  // Canvas operations go to both the room log and the session recording
+  logCanvasOperation(op) {
+    store.append(op);
+    this.record('canvas', op);
+  }
+
+  // Everything needed to pick the session up again after a restart. Pending
+  // invitations are short-lived and are not kept
+  toJSON() {
+    return {
+      participants: Array.from(this.participants.values()).map(p => ({
+        socketId: p.socketId,
+        seatId: p.seatId,
+        authorId: p.authorId,
+        number: p.number,
+        joinedAt: p.joinedAt,
+        inPrivateSection: p.inPrivateSection
+      })),
+      canvasData: this.canvasData,
+      privateSections: Array.from(this.privateSections.entries()).map(([sectionId, section]) => ({
+        sectionId,
+        members: Array.from(section.members),
+        ownerId: section.ownerId,
+        region: section.region,
+        locked: section.locked,
+        createdAt: section.createdAt
+      })),
+      phase: this.phase,
+      votingRounds: this.votingRounds,
+      votingClosesAt: this.votingClosesAt,
+      votes: Array.from(this.votes.entries()).map(([voterId, votedSet]) => [voterId, Array.from(votedSet)]),
+      ballots: Array.from(this.ballots.entries()),
+      publishedRounds: Array.from(this.publishedRounds.values()),
+      startTime: this.startTime,
+      extraTime: this.extraTime,
+      availableNumbers: Array.from(this.availableNumbers),
+      nextNumber: this.nextNumber,
+      expelledAddresses: Array.from(this.expelledAddresses)
+    };
+  }
+
+  restore(saved) {
+    if (!saved) return;
+
+    const { snapshot, operations } = saved;
+    if (snapshot) {
+      snapshot.participants.forEach(p => {
+        this.participants.set(p.socketId, {
+          ...p,
+          authorId: p.authorId || newAuthorId(),
+          currentPath: null,
+          connected: true,
+          reconnectTimer: null,
+          undoStack: [], // undo history is not kept across restarts
+          redoStack: []
+        });
+      });
+      this.canvasData = snapshot.canvasData;
+      this.canvasIndex.load(this.canvasData);
+      this.canvasData.forEach(item => this.countItem(item, 1));
+      snapshot.privateSections.forEach(section => {
+        this.privateSections.set(section.sectionId, {
+          members: new Set(section.members),
+          ownerId: section.ownerId,
+          region: section.region,
+          locked: section.locked,
+          createdAt: section.createdAt
+        });
+      });
+      this.phase = snapshot.phase || phaseFromFlags(snapshot, this.rules);
+      this.votingRounds = snapshot.votingRounds;
+      this.votingClosesAt = snapshot.votingClosesAt || null;
+      this.votes = new Map(snapshot.votes.map(([voterId, voted]) => [voterId, new Set(voted)]));
+      this.ballots = new Map(snapshot.ballots || []);
+      this.publishedRounds = new Map((snapshot.publishedRounds || []).map(result => [result.round, result]));
+      this.startTime = snapshot.startTime;
+      this.extraTime = snapshot.extraTime || 0;
+      this.availableNumbers = new Set(snapshot.availableNumbers);
+      this.nextNumber = snapshot.nextNumber;
+      this.expelledAddresses = new Set(snapshot.expelledAddresses || []);
+    }
+
+    operations.forEach(op => this.applyCanvasOperation(op));
+
+    // Items saved before authors were recorded go to whoever holds their number
+    const authors = new Map(Array.from(this.participants.values(), p => [p.number, p.authorId]));
+    this.canvasData.filter(item => !item.authorId && authors.has(item.participantNumber)).forEach(item => {
+      this.countItem(item, -1);
+      item.authorId = authors.get(item.participantNumber);
+      this.countItem(item, 1);
+    });
+
+    // Nobody is connected after a restart: everyone gets the grace period to come back
+    Array.from(this.participants.keys()).forEach(socketId => this.reserveSeat(socketId));
+
+    if (this.phase === 'closing') {
+      // Stopped while a closed room was waiting to be cleared
+      this.resetRoom();
+    } else {
+      if (this.votingPhase && !this.votingClosesAt) {
+        const windowMs = this.rules.votingWindowMinutes * 60 * 1000;
+        this.votingClosesAt = this.startTime + this.rules.votingRoundMinutes[this.votingRounds - 1] * 60 * 1000 + windowMs;
+      }
+      this.scheduleTransition();
+    }
+  }
+
+  // Replays a logged canvas operation
+  applyCanvasOperation(op) {
+    if (op.op === 'add') {
+      this.addItem(op.item);
+    } else if (op.op === 'points') {
+      const pathItem = this.canvasIndex.get(op.pathId);
+      if (pathItem) (decodePoints(op.points) || []).forEach(point => this.addPathPoint(pathItem, point));
+    } else if (op.op === 'point') {
+      // One point at a time, as logs from before points were batched have them
+      const pathItem = this.canvasIndex.get(op.pathId);
+      if (pathItem) this.addPathPoint(pathItem, { x: op.x, y: op.y });
+    } else if (op.op === 'remove') {
+      const ids = new Set(op.ids);
+      this.canvasData = this.canvasData.filter(item => !ids.has(itemId(item)));
+      op.ids.forEach(id => this.unindexItem(id));
+    } else if (op.op === 'update') {
+      const updated = new Map(op.items.map(item => [itemId(item), item]));
+      this.canvasData = this.canvasData.map(item => updated.get(itemId(item)) || item);
+      op.items.forEach(item => this.reindexItem(item));
+    }
+  }
+
+  // Undo history holds a participant's own canvas actions: the items they
+  // added and the items they erased. A new action clears what could be redone
+  pushHistory(participant, entry) {
+    participant.undoStack.push(entry);
+    if (participant.undoStack.length > UNDO_LIMIT) participant.undoStack.shift();
+    participant.redoStack = [];
+    this.emitHistory(participant);
+  }
+
+  // A drag with the eraser arrives as many erase events; they undo as one.
+  // Pieces of a path that a later touch of the same drag split again were
+  // never there before the drag, so they are left out of the entry
+  recordErase(participant, removed, added, eraseId) {
+    const last = participant.undoStack[participant.undoStack.length - 1];
+    if (eraseId && last && last.type === 'erase' && last.eraseId === eraseId) {
+      const addedIds = new Set(last.added.map(itemId));
+      const intermediate = new Set(removed.map(itemId).filter(id => addedIds.has(id)));
+      last.added = last.added.filter(item => !intermediate.has(itemId(item))).concat(added);
+      last.removed.push(...removed.filter(item => !intermediate.has(itemId(item))));
+      return;
+    }
+    this.pushHistory(participant, { type: 'erase', removed, added, eraseId });
+  }
+
+  emitHistory(participant) {
+    io.to(participant.socketId).emit('historyChanged', {
+      canUndo: participant.undoStack.length > 0,
+      canRedo: participant.redoStack.length > 0
+    });
+  }
+
+  undo(socketId) {
+    return this.stepHistory(socketId, 'undo');
+  }
+
+  redo(socketId) {
+    return this.stepHistory(socketId, 'redo');
+  }
+
+  // Entries that no longer apply, such as a stroke someone else has since
+  // erased, are dropped and the next one is tried
+  stepHistory(socketId, direction) {
+    const participant = this.participants.get(socketId);
+    if (!participant) return false;
+
+    const from = direction === 'undo' ? participant.undoStack : participant.redoStack;
+    const to = direction === 'undo' ? participant.redoStack : participant.undoStack;
+    let applied = false;
+
+    while (!applied && from.length > 0) {
+      const entry = from.pop();
+
+      if (entry.type === 'update') {
+        // Moves and resizes swap between the before and after copies
+        const target = direction === 'undo' ? entry.before : entry.after;
+        const ids = new Set(target.map(itemId));
+        const present = new Set(this.canvasData
+          .filter(item => ids.has(itemId(item)) && this.canModifyItem(socketId, item))
+          .map(itemId));
+        const replacements = target.filter(item => present.has(itemId(item)) && this.canPlaceItem(socketId, item));
+        if (replacements.length > 0) this.replaceItems(replacements);
+        applied = replacements.length > 0;
+      } else {
+        // Undo takes what the action added off the canvas and puts back what
+        // it removed; redo does the opposite
+        const [takeOff, putBack] = direction === 'undo' ? ['added', 'removed'] : ['removed', 'added'];
+        const offIds = new Set(entry[takeOff].map(itemId));
+        const existing = new Set(this.canvasData.map(itemId));
+        const present = this.canvasData.filter(item => offIds.has(itemId(item)) && this.canModifyItem(socketId, item));
+        const restorable = entry[putBack].filter(item => !existing.has(itemId(item)) && this.canPlaceItem(socketId, item));
+
+        // A split path comes back whole or not at all
+        const partial = entry.removed.length > 0 && entry.added.length > 0 &&
+          restorable.length < entry[putBack].length;
+        applied = !partial && present.length + restorable.length > 0;
+
+        // Putting items back counts against the quotas like adding them; the
+        // step waits until there is room for it again
+        const quota = applied && this.quotaExceededBy(present, restorable);
+        if (quota) {
+          from.push(entry);
+          const socket = io.sockets.sockets.get(socketId);
+          if (socket) sendLimitNotice(socket, quota);
+          applied = false;
+          break;
+        }
+
+        if (applied) {
+          if (present.length > 0) this.removeItems(present.map(itemId));
+          if (restorable.length > 0) this.restoreItems(restorable);
+          entry[takeOff] = present;
+          entry[putBack] = restorable;
+        }
+      }
+
+      if (applied) to.push(entry);
+    }
+
+    this.emitHistory(participant);
+    return applied;
+  }
+
+  // Whether the participant could put the item where it is now: inside their
+  // own section, or on open canvas without touching any section. Used for
+  // undone items coming back and for moved or resized ones
+  canPlaceItem(socketId, item) {
+    const participant = this.participants.get(socketId);
+    if (!participant) return false;
+    if (item.type === 'shape') return this.canPlaceShape(socketId, item);
+
+    const owner = item.sectionId && this.privateSections.has(item.sectionId) ? item.sectionId : null;
+    if (owner && participant.inPrivateSection !== owner) return false;
+    const points = item.type === 'draw' ? item.pathPoints || [] : [item];
+    return points.every(p => this.sectionAt(p.x, p.y) === owner);
+  }
+
+  // canvasData, canvasIndex and the usage counts always change together
+  addItem(item) {
+    this.canvasData.push(item);
+    this.canvasIndex.add(item);
+    this.countItem(item, 1);
+  }
+
+  addPathPoint(pathItem, point) {
+    if (!pathItem.pathPoints) pathItem.pathPoints = [];
+    pathItem.pathPoints.push(point);
+    this.canvasIndex.extend(pathItem, point);
+    this.addUsage(pathItem.authorId, 0, 1);
+  }
+
+  unindexItem(id) {
+    const item = this.canvasIndex.get(id);
+    if (!item) return;
+    this.countItem(item, -1);
+    this.canvasIndex.remove(id);
+  }
+
+  reindexItem(item) {
+    const previous = this.canvasIndex.get(itemId(item));
+    if (!previous) return;
+    this.countItem(previous, -1);
+    this.countItem(item, 1);
+    this.canvasIndex.update(item);
+  }
+
+  // Item and path point counts behind the canvas quotas
+  countItem(item, sign) {
+    this.addUsage(item.authorId, sign, sign * itemPointCount(item));
+  }
+
+  addUsage(authorId, items, points) {
+    const usage = this.usage.get(authorId) || { items: 0, points: 0 };
+    usage.items += items;
+    usage.points += points;
+    this.usage.set(authorId, usage);
+    this.totalUsage.items += items;
+    this.totalUsage.points += points;
+  }
+
+  // Which quota adding this many items and points would break, if any
+  quotaExceeded(authorId, items, points) {
+    const usage = this.usage.get(authorId) || { items: 0, points: 0 };
+    if (usage.items + items > this.rules.maxItemsPerParticipant ||
+      usage.points + points > this.rules.maxPointsPerParticipant) {
+      return 'participantQuota';
+    }
+    if (this.totalUsage.items + items > this.rules.maxItemsPerRoom ||
+      this.totalUsage.points + points > this.rules.maxPointsPerRoom) {
+      return 'roomQuota';
+    }
+    return null;
+  }
+
+  // Which quota swapping some items on the canvas for others would break, if
+  // any, as when an erase cuts paths into pieces or an undo puts items back.
+  // Each item counts against its own author's share, and only growth counts
+  quotaExceededBy(removed, added) {
+    const changes = new Map(); // author id -> { items, points }
+    const total = { items: 0, points: 0 };
+    const count = (item, sign) => {
+      const change = changes.get(item.authorId) || { items: 0, points: 0 };
+      [change, total].forEach(counts => {
+        counts.items += sign;
+        counts.points += sign * itemPointCount(item);
+      });
+      changes.set(item.authorId, change);
+    };
+    removed.forEach(item => count(item, -1));
+    added.forEach(item => count(item, 1));
+
+    const grows = (usage, change, maxItems, maxPoints) =>
+      (change.items > 0 && usage.items + change.items > maxItems) ||
+      (change.points > 0 && usage.points + change.points > maxPoints);
+    const overShare = Array.from(changes).some(([authorId, change]) => grows(
+      this.usage.get(authorId) || { items: 0, points: 0 }, change,
+      this.rules.maxItemsPerParticipant, this.rules.maxPointsPerParticipant));
+    if (overShare) return 'participantQuota';
+    if (grows(this.totalUsage, total, this.rules.maxItemsPerRoom, this.rules.maxPointsPerRoom)) return 'roomQuota';
+    return null;
+  }
+
+  // How many more path points a participant may add
+  pointAllowance(authorId) {
+    const usage = this.usage.get(authorId) || { items: 0, points: 0 };
+    return Math.max(0, Math.min(
+      this.rules.maxPointsPerParticipant - usage.points,
+      this.rules.maxPointsPerRoom - this.totalUsage.points
+    ));
+  }
+
+  removeItems(ids) {
+    const removed = new Set(ids);
+    this.canvasData = this.canvasData.filter(item => !removed.has(itemId(item)));
+    ids.forEach(id => {
+      this.unindexItem(id);
+      this.livePaths.delete(id);
+      this.trimmedPaths.delete(id);
+      this.pendingStrokes.delete(id);
+    });
+    this.logCanvasOperation({ op: 'remove', ids });
+    io.emit('canvasErase', { ids });
+  }
+
+  // Points of strokes being drawn go out to everyone in batches
+  queueStrokePoints(pathId, points) {
+    if (!this.pendingStrokes.has(pathId)) this.pendingStrokes.set(pathId, []);
+    this.pendingStrokes.get(pathId).push(...points);
+
+    if (!this.strokeTimer) {
+      this.strokeTimer = setTimeout(() => this.flushStrokes(), STROKE_BROADCAST_INTERVAL);
+    }
+  }
+
+  flushStrokes() {
+    clearTimeout(this.strokeTimer);
+    this.strokeTimer = null;
+    if (this.pendingStrokes.size === 0) return;
+
+    const strokes = Array.from(this.pendingStrokes, ([pathId, points]) => ({ pathId, points: encodePoints(points) }));
+    this.pendingStrokes.clear();
+    io.emit('strokePoints', { strokes });
+  }
+
+  restoreItems(items) {
+    items.forEach(item => {
+      this.addItem(item);
+      this.logCanvasOperation({ op: 'add', item });
+    });
+    io.emit('canvasRestore', { items });
+  }
+
+  // Swaps items for updated copies with the same ids
+  replaceItems(items) {
+    const updated = new Map(items.map(item => [itemId(item), item]));
+    this.canvasData = this.canvasData.map(item => updated.get(itemId(item)) || item);
+    items.forEach(item => this.reindexItem(item));
+    this.logCanvasOperation({ op: 'update', items });
+    io.emit('canvasTransform', { items });
+  }
+
+  // Participants can only select, move, resize and delete what they made
+  ownItems(socketId, ids) {
+    const participant = this.participants.get(socketId);
+    if (!participant || !Array.isArray(ids)) return [];
+
+    const wanted = new Set(ids);
+    return this.canvasData.filter(item =>
+      wanted.has(itemId(item)) &&
+      item.authorId === participant.authorId &&
+      this.canModifyItem(socketId, item)
+    );
+  }
+
+  // Moves and resizes a selection as one operation. Nothing changes if any
+  // item would end up crossing into or out of a section
+  transformItems(socketId, ids, transform) {
+    const participant = this.participants.get(socketId);
+    if (!participant || !isValidTransform(transform)) return false;
+
+    const items = this.ownItems(socketId, ids);
+    if (items.length === 0) return false;
+
+    const transformed = items.map(item => transformItem(item, transform));
+    if (!transformed.every(item => this.canPlaceItem(socketId, item))) return false;
+
+    this.replaceItems(transformed);
+    this.pushHistory(participant, { type: 'update', before: items, after: transformed });
+    return true;
+  }
+
+  deleteItems(socketId, ids) {
+    const participant = this.participants.get(socketId);
+    const items = this.ownItems(socketId, ids);
+    if (!participant || items.length === 0) return false;
+
+    this.removeItems(items.map(itemId));
+    this.pushHistory(participant, { type: 'erase', removed: items, added: [] });
+    return true;
   }
 
   addParticipant(socketId, ageVerified) {
@@ -37,14 +1169,13 @@ class Room {
       return null;
     }
 
-    if (this.participants.size >= 20) {
+    if (this.participants.size >= this.rules.maxParticipants) {
       return null; // Room full
     }
 
-    // Allow people to join until the first voting round starts (20 minutes)
+    // Allow people to join until the first voting round starts
     // After that, no new members can join
-    if (this.roomActive && this.startTime && this.votingRounds > 0) {
-      // First voting round has started, no new members
+    if (!JOINABLE_PHASES.includes(this.phase)) {
       return null;
     }
 
@@ -58,18 +1189,26 @@ class Room {
 
     const participant = {
       socketId,
+      seatId: crypto.randomBytes(16).toString('hex'),
+      authorId: newAuthorId(),
       number,
       joinedAt: Date.now(),
       inPrivateSection: null,
-      currentPath: null
+      currentPath: null,
+      connected: true,
+      reconnectTimer: null,
+      undoStack: [], // { type: 'add' | 'erase', removed, added, eraseId } or { type: 'update', before, after }
+      redoStack: []
     };
 
     this.participants.set(socketId, participant);
+    this.markDirty();
     
-    // Start room timer if first participant
-    if (!this.roomActive && this.participants.size === 1) {
+    // The first participant starts the session
+    if (this.phase !== 'open') {
       this.startRoom();
     }
+    this.record('join', { number });
 
     return participant;
   }
@@ -78,82 +1217,317 @@ class Room {
     const participant = this.participants.get(socketId);
     if (!participant) return;
 
+    clearTimeout(participant.reconnectTimer);
+
     // Remove from private section if in one
     if (participant.inPrivateSection) {
       this.leavePrivateSection(socketId, participant.inPrivateSection);
     }
 
+    this.withdrawFromInvites(socketId);
+
+    // Strokes they were still drawing stay as they are
+    this.livePaths.forEach((pathItem, pathId) => {
+      if (pathItem.authorId !== participant.authorId) return;
+      this.livePaths.delete(pathId);
+      this.trimmedPaths.delete(pathId);
+    });
+
     // Free up the number
     this.availableNumbers.add(participant.number);
 
     this.participants.delete(socketId);
     this.votes.delete(socketId);
+    this.ballots.delete(socketId);
+    this.emitTurnout();
+    this.markDirty();
+    this.record('leave', { number: participant.number });
+  }
+
+  // Hold a dropped participant's seat, number, section and votes for the grace period
+  reserveSeat(socketId) {
+    const participant = this.participants.get(socketId);
+    if (!participant) return;
+
+    participant.connected = false;
+    participant.reconnectTimer = setTimeout(() => {
+      this.removeParticipant(participant.socketId);
+      io.emit('participantLeft', { number: participant.number });
+    }, RECONNECT_GRACE);
+  }
+
+  // Gives a reserved seat back to the holder of its session token
+  // Returns the participant holding a valid session token, or null
+  findParticipantByToken(sessionToken) {
+    const session = verifySessionToken(sessionToken);
+    if (!session) return null;
+
+    return Array.from(this.participants.values())
+      .find(p => p.seatId === session.seatId) || null;
+  }
+
+  resumeParticipant(socketId, sessionToken) {
+    const participant = this.findParticipantByToken(sessionToken);
+    if (!participant) return null;
+
+    const previousSocketId = participant.socketId;
+    clearTimeout(participant.reconnectTimer);
+    participant.reconnectTimer = null;
+    participant.connected = true;
+
+    if (previousSocketId !== socketId) {
+      this.rebindParticipant(previousSocketId, socketId);
+    }
+
+    return { participant, previousSocketId };
+  }
+
+  // Everything is keyed by socket id, so move it all over to the new socket
+  rebindParticipant(oldId, newId) {
+    const participant = this.participants.get(oldId);
+    const swap = id => (id === oldId ? newId : id);
+
+    this.participants.delete(oldId);
+    participant.socketId = newId;
+    this.participants.set(newId, participant);
+
+    // Ballots cast by and against the participant
+    if (this.votes.has(oldId)) {
+      this.votes.set(newId, this.votes.get(oldId));
+      this.votes.delete(oldId);
+    }
+    this.votes.forEach((votedSet, voterId) => {
+      this.votes.set(voterId, new Set(Array.from(votedSet).map(swap)));
+    });
+    if (this.ballots.has(oldId)) {
+      this.ballots.set(newId, this.ballots.get(oldId));
+      this.ballots.delete(oldId);
+    }
+
+    this.privateSections.forEach(section => {
+      section.members = new Set(Array.from(section.members).map(swap));
+      section.ownerId = swap(section.ownerId);
+    });
+
+    this.pendingInvites.forEach(invite => {
+      invite.creatorId = swap(invite.creatorId);
+      invite.responses = new Map(Array.from(invite.responses.entries()).map(([id, status]) => [swap(id), status]));
+    });
+
+    if (participant.inPrivateSection) {
+      const memberSocket = io.sockets.sockets.get(newId);
+      if (memberSocket) memberSocket.join(participant.inPrivateSection);
+    }
+
+    this.markDirty();
   }
 
   startRoom() {
-    this.roomActive = true;
     this.startTime = Date.now();
-    
-    // Schedule voting rounds at 20, 40, 60 minutes
-    setTimeout(() => this.startVotingRound(1), 20 * 60 * 1000);
-    setTimeout(() => this.startVotingRound(2), 40 * 60 * 1000);
-    setTimeout(() => this.startVotingRound(3), 60 * 60 * 1000);
-    
-    // Close room after 4 hours
-    setTimeout(() => this.closeRoom(), 4 * 60 * 60 * 1000);
+    this.record('start', { rules: this.rules });
+    this.enterPhase('open');
+  }
+
+  // Every phase change goes through here: the pending transition is
+  // cancelled, the next one is armed, and everyone is told
+  enterPhase(phase) {
+    if (!PHASE_TRANSITIONS[this.phase].includes(phase)) return false;
+
+    this.phase = phase;
+    this.markDirty();
+    this.scheduleTransition();
+    io.emit('phaseChanged', this.getPhaseState());
+    return true;
+  }
+
+  cancelTransition() {
+    if (this.transition) clearTimeout(this.transition.timer);
+    this.transition = null;
+  }
+
+  // Arms the one timer for whatever follows the current phase. Times come
+  // from startTime and the rules, so a restored room picks up where it left
+  // off; nothing from an earlier phase or session is left to fire
+  scheduleTransition() {
+    this.cancelTransition();
+
+    const next = this.nextTransition();
+    if (!next) return;
+    const { run, ...transition } = next;
+    this.transition = {
+      ...transition,
+      timer: setTimeout(() => {
+        this.transition = null;
+        run();
+      }, Math.max(0, next.at - Date.now()))
+    };
+  }
+
+  nextTransition() {
+    if (this.phase === 'closing') {
+      return { phase: 'closed', at: Date.now() + CLOSING_DELAY, run: () => this.resetRoom() };
+    }
+    if (!this.roomActive) return null;
+
+    let next = null;
+    if (this.phase === 'open' || this.phase === 'postVote') {
+      // A round missed while the server was down opens after a short pause
+      const round = this.votingRounds + 1;
+      const startsAt = this.startTime + this.rules.votingRoundMinutes[round - 1] * 60 * 1000;
+      const at = startsAt > Date.now() ? startsAt : Date.now() + CATCH_UP_PAUSE;
+      next = { phase: 'voting', round, at, run: () => this.startVotingRound(round) };
+    } else if (this.phase === 'voting') {
+      const last = this.votingRounds >= this.rules.votingRoundMinutes.length;
+      next = { phase: last ? 'sections' : 'postVote', at: this.votingClosesAt, run: () => this.endVotingRound() };
+    }
+
+    // The session ends on time whatever else is due
+    const endsAt = this.sessionEndsAt();
+    if (!next || next.at >= endsAt) {
+      next = { phase: 'closing', at: endsAt, run: () => this.closeRoom() };
+    }
+    return next;
+  }
+
+  sessionEndsAt() {
+    return this.startTime + this.rules.sessionHours * 60 * 60 * 1000 + this.extraTime;
+  }
+
+  // The facilitator can give a running session more time
+  extendSession(minutes) {
+    if (!this.roomActive) return false;
+
+    this.extraTime += minutes * 60 * 1000;
+    this.markDirty();
+    this.scheduleTransition();
+    io.emit('phaseChanged', this.getPhaseState());
+    return true;
+  }
+
+  // The phase and when it next changes. Clients work out the time left from
+  // the server's clock, as their own may differ
+  getPhaseState() {
+    const next = this.transition;
+    return {
+      phase: this.phase,
+      round: this.votingRounds,
+      next: next ? { phase: next.phase, round: next.round, at: next.at } : null,
+      now: Date.now()
+    };
   }
 
   startVotingRound(round) {
-    if (round > 3) return;
+    if (round > this.rules.votingRoundMinutes.length) return false;
+    if (!PHASE_TRANSITIONS[this.phase].includes('voting')) return false;
     
     this.votingRounds = round;
-    this.votingPhase = true;
+    this.votingClosesAt = Date.now() + this.rules.votingWindowMinutes * 60 * 1000;
     this.votes.clear();
+    this.ballots.clear();
+    this.record('votingStarted', { round });
+
+    // Voting ends once the window closes
+    this.enterPhase('voting');
     
-    io.emit('votingStarted', { round });
-    
-    // End voting after 2 minutes
-    setTimeout(() => this.endVotingRound(), 2 * 60 * 1000);
+    // Clocks differ, so clients work out the time left from the server's clock
+    io.emit('votingStarted', { round, closesAt: this.votingClosesAt, now: Date.now(), turnout: this.getTurnout() });
+    return true;
   }
 
-  endVotingRound() {
-    this.votingPhase = false;
+  // The facilitator can open the next round before its time
+  startNextVotingRound() {
+    return this.startVotingRound(this.votingRounds + 1);
+  }
+
+  // How many have voted, never who or for whom
+  getTurnout() {
+    return { voted: this.votes.size, eligible: this.participants.size };
+  }
+
+  emitTurnout() {
+    if (!this.votingPhase) return;
+    io.emit('votingTurnout', { round: this.votingRounds, ...this.getTurnout() });
+  }
+
+  // A round the facilitator skips closes without its votes being counted
+  endVotingRound({ skipped = false } = {}) {
+    if (!this.votingPhase) return false;
+
+    this.votingClosesAt = null;
+    const last = this.votingRounds >= this.rules.votingRoundMinutes.length;
+    this.enterPhase(last ? 'sections' : 'postVote');
     
-    // Count votes
-    const voteCounts = new Map();
-    this.votes.forEach((votedSet, voterId) => {
-      votedSet.forEach(votedId => {
-        voteCounts.set(votedId, (voteCounts.get(votedId) || 0) + 1);
+    // Votes for each participant still in the room. In verifiable voting the
+    // published tally is what counts
+    const published = this.rules.verifiableVoting && !skipped ? this.publishBallots() : null;
+    const byNumber = new Map(Array.from(this.participants.values(), p => [p.number, p]));
+    let counts;
+    if (published) {
+      counts = published.tally.filter(({ number }) => byNumber.has(number));
+    } else {
+      const voteCounts = new Map();
+      this.votes.forEach((votedSet, voterId) => {
+        votedSet.forEach(votedId => {
+          voteCounts.set(votedId, (voteCounts.get(votedId) || 0) + 1);
+        });
       });
-    });
+      counts = Array.from(voteCounts)
+        .filter(([socketId]) => this.participants.has(socketId))
+        .map(([socketId, votes]) => ({ number: this.participants.get(socketId).number, votes }));
+    }
 
-    // Remove participants with 4+ votes
-    const removed = [];
-    voteCounts.forEach((count, socketId) => {
-      if (count >= 4) {
-        const participant = this.participants.get(socketId);
-        if (participant) {
-          removed.push(participant.number);
-          this.removeParticipant(socketId);
-          io.to(socketId).emit('removed', { reason: 'voted_out' });
-        }
-      }
+    // The room's removal rule decides who goes
+    const ballots = published ? published.ballots.length : this.votes.size;
+    const { removed, ...decision } = skipped
+      ? { removed: [], skipped: true, electorate: this.participants.size, ballots }
+      : decideRemovals(this.rules, counts, this.participants.size, ballots);
+    removed.forEach(number => {
+      const { socketId } = byNumber.get(number);
+      this.removeParticipant(socketId);
+      io.to(socketId).emit('removed', { reason: 'voted_out' });
     });
 
     io.emit('votingEnded', { 
       round: this.votingRounds,
-      removed: removed 
+      removed: removed,
+      decision,
+      published
+    });
+    this.record('votingEnded', {
+      round: this.votingRounds,
+      removed,
+      decision,
+      ...(published && { tally: published.tally, commitment: published.commitment })
     });
 
-    // After 3rd round, show remaining participants
-    if (this.votingRounds === 3) {
+    // After the last round, show remaining participants
+    if (this.votingRounds === this.rules.votingRoundMinutes.length) {
       const remaining = Array.from(this.participants.values()).map(p => p.number);
       io.emit('votingComplete', { remaining });
     }
+    return true;
+  }
+
+  // The round's ballots without their voters, in hash order, with the tally
+  // and a commitment to them all. Anyone can recount the tally, and each
+  // voter can find the ballot on their receipt
+  publishBallots() {
+    const ballots = Array.from(this.ballots.values())
+      .map(({ ballotId, targets, hash }) => ({ ballotId, targets, hash }))
+      .sort((a, b) => (a.hash < b.hash ? -1 : 1));
+    const published = {
+      round: this.votingRounds,
+      ballots,
+      tally: tallyBallots(ballots),
+      commitment: sha256Hex(commitmentText(this.votingRounds, ballots.map(ballot => ballot.hash)))
+    };
+    this.publishedRounds.set(published.round, published);
+    this.ballots.clear();
+    return published;
   }
 
   submitVote(voterId, votedNumbers) {
-    if (!this.votingPhase) return false;
+    if (!this.votingPhase || Date.now() >= this.votingClosesAt) return false;
     
     const voter = this.participants.get(voterId);
     if (!voter) return false;
@@ -166,15 +1540,277 @@ class Room {
       }
     });
 
-    this.votes.set(voterId, votedSocketIds);
+    this.votes.set(voterId, votedSocketIds);
+    if (this.rules.verifiableVoting) {
+      const targets = Array.from(votedSocketIds, socketId => this.participants.get(socketId).number);
+      this.ballots.set(voterId, createBallot(this.votingRounds, targets));
+    }
+    this.markDirty();
+    this.emitTurnout();
+    return true;
+  }
+
+  // The claimed area must be a sensible size and not overlap another section
+  // or an area that is still waiting on its invitees
+  isRegionAvailable(region) {
+    if (!isValidRegion(region)) return false;
+    for (const section of this.privateSections.values()) {
+      if (regionsOverlap(section.region, region)) return false;
+    }
+    for (const invite of this.pendingInvites.values()) {
+      if (!invite.sectionId && regionsOverlap(invite.region, region)) return false;
+    }
+    return true;
+  }
+
+  // Sections need mutual consent: the creator proposes one and the invitees
+  // accept or decline before it is formed
+  proposePrivateSection(creatorId, inviteeNumbers, region) {
+    const creator = this.participants.get(creatorId);
+    if (!creator || creator.inPrivateSection) return null;
+
+    // Sections open up after the last voting round
+    if (this.phase !== 'sections') return null;
+
+    if (inviteeNumbers.length === 0 || inviteeNumbers.length > this.rules.maxSectionMembers - 1) return null;
+
+    if (!this.isRegionAvailable(region)) return null;
+
+    const invitees = this.findInvitees(creatorId, inviteeNumbers);
+    if (!invitees) return null;
+
+    return this.openInvite(creatorId, invitees, {
+      sectionId: null,
+      region: {
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height
+      }
+    });
+  }
+
+  // Members of an existing section can invite others into its free seats
+  proposeSectionInvite(inviterId, inviteeNumbers) {
+    const inviter = this.participants.get(inviterId);
+    if (!inviter || !inviter.inPrivateSection) return null;
+
+    const section = this.privateSections.get(inviter.inPrivateSection);
+    if (!section) return null;
+
+    // Seats promised to invitees who have not declined yet are taken
+    let reserved = section.members.size;
+    this.pendingInvites.forEach(invite => {
+      if (invite.sectionId !== inviter.inPrivateSection) return;
+      invite.responses.forEach(status => {
+        if (status !== 'declined') reserved++;
+      });
+    });
+
+    if (inviteeNumbers.length === 0 || reserved + inviteeNumbers.length > this.rules.maxSectionMembers) return null;
+
+    const invitees = this.findInvitees(inviterId, inviteeNumbers);
+    if (!invitees) return null;
+
+    return this.openInvite(inviterId, invitees, {
+      sectionId: inviter.inPrivateSection,
+      region: section.region
+    });
+  }
+
+  // Returns the socket ids of the numbered participants, or null if any of
+  // them is missing or already in a section
+  findInvitees(inviterId, inviteeNumbers) {
+    const invitees = [];
+    this.participants.forEach((participant, socketId) => {
+      if (inviteeNumbers.includes(participant.number) &&
+          !participant.inPrivateSection &&
+          socketId !== inviterId) {
+        invitees.push(socketId);
+      }
+    });
+
+    return invitees.length === inviteeNumbers.length ? invitees : null;
+  }
+
+  openInvite(inviterId, invitees, { sectionId, region }) {
+    // One open invitation per inviter
+    for (const invite of this.pendingInvites.values()) {
+      if (invite.creatorId === inviterId) return null;
+    }
+
+    const inviteId = `invite_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const invite = {
+      inviteId,
+      creatorId: inviterId,
+      sectionId,
+      region,
+      responses: new Map(invitees.map(id => [id, 'pending'])),
+      expiresAt: Date.now() + INVITE_TIMEOUT,
+      timer: setTimeout(() => this.settleInvite(inviteId, 'expired'), INVITE_TIMEOUT)
+    };
+    this.pendingInvites.set(inviteId, invite);
+
+    // The inviter gets the initial status in the acknowledgement
+    const section = sectionId ? this.privateSections.get(sectionId) : null;
+    invitees.forEach(inviteeId => {
+      io.to(inviteeId).emit('sectionInvite', {
+        inviteId,
+        creatorNumber: this.participants.get(inviterId).number,
+        inviteeNumbers: this.numbersOf(invitees),
+        memberNumbers: section ? this.numbersOf(section.members) : [],
+        region,
+        expiresAt: invite.expiresAt
+      });
+    });
+
+    return invite;
+  }
+
+  respondToInvite(socketId, inviteId, accept) {
+    const invite = this.pendingInvites.get(inviteId);
+    if (!invite || invite.responses.get(socketId) !== 'pending') return false;
+
+    invite.responses.set(socketId, accept ? 'accepted' : 'declined');
+    this.emitInviteStatus(invite);
+    this.settleInvite(inviteId);
+    return true;
+  }
+
+  cancelInvite(socketId, inviteId) {
+    const invite = this.pendingInvites.get(inviteId);
+    if (!invite || invite.creatorId !== socketId) return false;
+
+    this.settleInvite(inviteId, 'cancelled');
+    return true;
+  }
+
+  // Creators who leave cancel their invitations; invitees who leave decline
+  withdrawFromInvites(socketId) {
+    Array.from(this.pendingInvites.values()).forEach(invite => {
+      if (invite.creatorId === socketId) {
+        this.settleInvite(invite.inviteId, 'cancelled');
+      } else if (invite.responses.get(socketId) === 'pending') {
+        invite.responses.set(socketId, 'declined');
+        this.emitInviteStatus(invite);
+        this.settleInvite(invite.inviteId);
+      }
+    });
+  }
+
+  // Once everyone has answered (or time runs out) the section is formed with
+  // the invitees who accepted, or the invitation is dropped if nobody did
+  settleInvite(inviteId, reason) {
+    const invite = this.pendingInvites.get(inviteId);
+    if (!invite) return;
+
+    const statuses = Array.from(invite.responses.values());
+    if (!reason && statuses.includes('pending')) return;
+
+    clearTimeout(invite.timer);
+    this.pendingInvites.delete(inviteId);
+
+    const accepted = Array.from(invite.responses.entries())
+      .filter(([, status]) => status === 'accepted')
+      .map(([id]) => id);
+
+    let formed = false;
+    if (reason !== 'cancelled' && accepted.length > 0) {
+      formed = invite.sectionId
+        ? this.addToPrivateSection(invite.sectionId, accepted)
+        : this.formSection(invite, accepted);
+      if (!formed) reason = 'unavailable';
+    } else if (!reason) {
+      reason = 'declined';
+    }
+
+    const closed = {
+      inviteId,
+      formed,
+      reason: formed ? null : reason
+    };
+    [invite.creatorId, ...invite.responses.keys()].forEach(id => {
+      io.to(id).emit('sectionInviteClosed', closed);
+    });
+  }
+
+  formSection(invite, accepted) {
+    const section = this.createPrivateSection(invite.creatorId, this.numbersOf(accepted), invite.region);
+    if (!section) return false;
+
+    io.to(section.sectionId).emit('privateSectionCreated', {
+      sectionId: section.sectionId,
+      members: this.numbersOf(section.members)
+    });
+    this.record('sectionCreated', {
+      sectionId: section.sectionId,
+      region: invite.region,
+      members: this.numbersOf(section.members)
+    });
+
+    // Everyone sees the claimed region
+    io.emit('sectionsUpdated', { sections: this.getSections() });
+    return true;
+  }
+
+  addToPrivateSection(sectionId, socketIds) {
+    const section = this.privateSections.get(sectionId);
+    if (!section || section.members.size + socketIds.length > this.rules.maxSectionMembers) return false;
+
+    const joining = socketIds.map(id => this.participants.get(id));
+    if (joining.some(p => !p || p.inPrivateSection)) return false;
+
+    joining.forEach(participant => {
+      section.members.add(participant.socketId);
+      participant.inPrivateSection = sectionId;
+      const memberSocket = io.sockets.sockets.get(participant.socketId);
+      if (memberSocket) memberSocket.join(sectionId);
+    });
+    this.markDirty();
+
+    const members = this.numbersOf(section.members);
+    joining.forEach(participant => {
+      io.to(participant.socketId).emit('privateSectionCreated', { sectionId, members });
+    });
+    io.to(sectionId).emit('sectionMembersChanged', {
+      sectionId,
+      members,
+      joined: joining.map(p => p.number)
+    });
+    this.record('sectionMembersChanged', { sectionId, members });
+    io.emit('sectionsUpdated', { sections: this.getSections() });
     return true;
   }
 
-  createPrivateSection(creatorId, inviteeNumbers) {
+  getInviteResponses(invite) {
+    return Array.from(invite.responses.entries()).map(([id, status]) => {
+      const p = this.participants.get(id);
+      return { number: p ? p.number : null, status };
+    }).filter(r => r.number !== null);
+  }
+
+  emitInviteStatus(invite) {
+    io.to(invite.creatorId).emit('sectionInviteStatus', {
+      inviteId: invite.inviteId,
+      expiresAt: invite.expiresAt,
+      responses: this.getInviteResponses(invite)
+    });
+  }
+
+  numbersOf(socketIds) {
+    return Array.from(socketIds)
+      .map(id => this.participants.get(id))
+      .filter(p => p)
+      .map(p => p.number);
+  }
+
+  createPrivateSection(creatorId, inviteeNumbers, region) {
     const creator = this.participants.get(creatorId);
     if (!creator || creator.inPrivateSection) return null;
 
-    if (inviteeNumbers.length > 2) return null; // Max 3 total (creator + 2)
+    if (inviteeNumbers.length > this.rules.maxSectionMembers - 1) return null;
+
+    if (!this.isRegionAvailable(region)) return null;
 
     // Find invitees
     const invitees = [];
@@ -193,6 +1829,13 @@ class Room {
     
     this.privateSections.set(sectionId, {
       members,
+      ownerId: creatorId,
+      region: {
+        x: region.x,
+        y: region.y,
+        width: region.width,
+        height: region.height
+      },
       locked: true,
       createdAt: Date.now()
     });
@@ -203,12 +1846,19 @@ class Room {
       invitee.participant.inPrivateSection = sectionId;
     });
 
+    // Each section is its own Socket.io room for member-only notifications
+    members.forEach(memberId => {
+      const memberSocket = io.sockets.sockets.get(memberId);
+      if (memberSocket) memberSocket.join(sectionId);
+    });
+    this.markDirty();
+
     return { sectionId, members: Array.from(members) };
   }
 
   leavePrivateSection(socketId, sectionId) {
     const section = this.privateSections.get(sectionId);
-    if (!section) return;
+    if (!section || !section.members.has(socketId)) return false;
 
     section.members.delete(socketId);
     const participant = this.participants.get(socketId);
@@ -216,9 +1866,68 @@ class Room {
       participant.inPrivateSection = null;
     }
 
+    const memberSocket = io.sockets.sockets.get(socketId);
+    if (memberSocket) memberSocket.leave(sectionId);
+    this.markDirty();
+
+    // Invitations into the section go with the member who sent them
+    Array.from(this.pendingInvites.values()).forEach(invite => {
+      if (invite.sectionId === sectionId &&
+          (invite.creatorId === socketId || section.members.size === 0)) {
+        this.settleInvite(invite.inviteId, 'cancelled');
+      }
+    });
+
     if (section.members.size === 0) {
       this.privateSections.delete(sectionId);
+      this.record('sectionClosed', { sectionId });
+    } else {
+      // The longest-standing remaining member takes over from a departing owner
+      if (section.ownerId === socketId) {
+        section.ownerId = section.members.values().next().value;
+      }
+
+      io.to(sectionId).emit('sectionMembersChanged', {
+        sectionId,
+        members: this.numbersOf(section.members),
+        left: participant ? [participant.number] : []
+      });
+      this.record('sectionMembersChanged', { sectionId, members: this.numbersOf(section.members) });
     }
+
+    io.emit('sectionsUpdated', { sections: this.getSections() });
+    return true;
+  }
+
+  // Only the owner can dissolve a section; every member is released from it
+  dissolvePrivateSection(socketId) {
+    const participant = this.participants.get(socketId);
+    if (!participant || !participant.inPrivateSection) return false;
+
+    const sectionId = participant.inPrivateSection;
+    const section = this.privateSections.get(sectionId);
+    if (!section || section.ownerId !== socketId) return false;
+
+    io.to(sectionId).emit('privateSectionDissolved', { sectionId });
+
+    Array.from(this.pendingInvites.values()).forEach(invite => {
+      if (invite.sectionId === sectionId) {
+        this.settleInvite(invite.inviteId, 'cancelled');
+      }
+    });
+
+    section.members.forEach(memberId => {
+      const member = this.participants.get(memberId);
+      if (member) member.inPrivateSection = null;
+      const memberSocket = io.sockets.sockets.get(memberId);
+      if (memberSocket) memberSocket.leave(sectionId);
+    });
+    this.privateSections.delete(sectionId);
+    this.markDirty();
+    this.record('sectionClosed', { sectionId });
+
+    io.emit('sectionsUpdated', { sections: this.getSections() });
+    return true;
   }
 
   canInteract(socketId, targetSocketId) {
@@ -242,34 +1951,190 @@ class Room {
     return false;
   }
 
+  // Returns the id of the section whose region contains the point, or null
+  sectionAt(x, y) {
+    for (const [sectionId, section] of this.privateSections) {
+      if (regionContains(section.region, x, y)) return sectionId;
+    }
+    return null;
+  }
+
+  // Anyone can act on the open canvas; inside a section's region only its members can
+  canActAt(socketId, x, y) {
+    const participant = this.participants.get(socketId);
+    if (!participant) return false;
+    const sectionId = this.sectionAt(x, y);
+    return !sectionId || participant.inPrivateSection === sectionId;
+  }
+
+  // Like paths, a shape can't cross a section's edge: it sits wholly inside
+  // the caller's own section or wholly on open canvas
+  canPlaceShape(socketId, shape) {
+    const participant = this.participants.get(socketId);
+    if (!participant) return false;
+
+    const sectionId = this.sectionAt(shape.x1, shape.y1);
+    if (sectionId) {
+      return participant.inPrivateSection === sectionId && this.sectionAt(shape.x2, shape.y2) === sectionId;
+    }
+    const bounds = shapeBounds(shape);
+    for (const section of this.privateSections.values()) {
+      if (regionsOverlap(section.region, bounds)) return false;
+    }
+    return true;
+  }
+
+  // Section content is view-only for non-members while the section exists
+  canModifyItem(socketId, item) {
+    const participant = this.participants.get(socketId);
+    if (!participant) return false;
+    if (!item.sectionId || !this.privateSections.has(item.sectionId)) return true;
+    return participant.inPrivateSection === item.sectionId;
+  }
+
+  getSections() {
+    return Array.from(this.privateSections.entries()).map(([sectionId, section]) => ({
+      sectionId,
+      region: section.region,
+      members: this.numbersOf(section.members),
+      ownerNumber: this.numbersOf([section.ownerId])[0] || null
+    }));
+  }
+
+  // Everything is cleared once the closing phase is over
   closeRoom() {
-    this.roomActive = false;
+    if (!this.enterPhase('closing')) return false;
+    this.record('closed');
     io.emit('roomClosed');
-    
-    // Clear everything after a delay
-    setTimeout(() => {
-      this.participants.clear();
-      this.canvasData = [];
-      this.privateSections.clear();
-      this.votingRounds = 0;
-      this.votingPhase = false;
-      this.votes.clear();
-      this.startTime = null;
-      this.availableNumbers = new Set([...Array(20).keys()].map(i => i + 1));
-      this.nextNumber = 1;
-    }, 5000);
+    return true;
+  }
+
+  resetRoom() {
+    this.participants.forEach(participant => clearTimeout(participant.reconnectTimer));
+    this.participants.clear();
+    this.canvasData = [];
+    this.canvasIndex.clear();
+    this.usage.clear();
+    this.totalUsage = { items: 0, points: 0 };
+    this.livePaths.clear();
+    this.trimmedPaths.clear();
+    this.pendingStrokes.clear();
+    clearTimeout(this.strokeTimer);
+    this.strokeTimer = null;
+    this.privateSections.clear();
+    this.pendingInvites.forEach(invite => clearTimeout(invite.timer));
+    this.pendingInvites.clear();
+    this.votingRounds = 0;
+    this.votingClosesAt = null;
+    this.votes.clear();
+    this.ballots.clear();
+    this.publishedRounds.clear();
+    this.startTime = null;
+    this.extraTime = 0;
+    this.availableNumbers = new Set([...Array(this.rules.maxParticipants).keys()].map(i => i + 1));
+    this.nextNumber = 1;
+    this.expelledAddresses.clear();
+
+    // A reset ends whatever phase the room was in
+    this.cancelTransition();
+    this.phase = 'closed';
+    this.markDirty();
+    io.emit('phaseChanged', this.getPhaseState());
   }
 
   getRoomState() {
     return {
       participants: Array.from(this.participants.values()).map(p => ({
         number: p.number,
-        inPrivateSection: p.inPrivateSection
+        inPrivateSection: p.inPrivateSection,
+        connected: p.connected
       })),
+      sections: this.getSections(),
+      phase: this.getPhaseState(),
       votingPhase: this.votingPhase,
       votingRound: this.votingRounds,
+      votingClosesAt: this.votingClosesAt,
+      turnout: this.votingPhase ? this.getTurnout() : null,
       roomActive: this.roomActive,
-      timeElapsed: this.startTime ? Date.now() - this.startTime : 0
+      timeElapsed: this.startTime ? Date.now() - this.startTime : 0,
+      now: Date.now()
+    };
+  }
+
+  participantByNumber(number) {
+    return Array.from(this.participants.values()).find(p => p.number === number) || null;
+  }
+
+  // The facilitator can remove someone outright, as a vote would. Unlike a
+  // vote, it keeps them out: joins from where they connected from are refused
+  // until the room is reset
+  expelParticipant(number) {
+    const participant = this.participantByNumber(number);
+    if (!participant) return false;
+
+    this.removeParticipant(participant.socketId);
+    if (participant.address) this.expelledAddresses.add(participant.address);
+    this.markDirty();
+
+    io.to(participant.socketId).emit('removed', { reason: 'facilitator' });
+    const socket = io.sockets.sockets.get(participant.socketId);
+    if (socket) socket.disconnect();
+    io.emit('participantLeft', { number });
+    return true;
+  }
+
+  // Clears everything reaching into the box, whoever drew it and whichever
+  // section it is in. Undo or redo could bring it back, so history entries
+  // that touch a wiped item go too; the rest of everyone's history stays
+  wipeRegion(box) {
+    const ids = this.canvasIndex.query(box).filter(item => itemInBox(item, box)).map(itemId);
+    if (ids.length === 0) return 0;
+
+    this.removeItems(ids);
+    const wiped = new Set(ids);
+    const untouched = entry => !['removed', 'added', 'before', 'after']
+      .some(key => (entry[key] || []).some(item => wiped.has(itemId(item))));
+
+    this.participants.forEach(participant => {
+      const undoCount = participant.undoStack.length;
+      const redoCount = participant.redoStack.length;
+      participant.undoStack = participant.undoStack.filter(untouched);
+      participant.redoStack = participant.redoStack.filter(untouched);
+      if (participant.undoStack.length < undoCount || participant.redoStack.length < redoCount) {
+        this.emitHistory(participant);
+      }
+    });
+    return ids.length;
+  }
+
+  // What the facilitator console shows. The facilitator sees how many have
+  // voted, as everyone does, but not who or for whom
+  getAdminState() {
+    return {
+      phase: this.getPhaseState(),
+      startTime: this.startTime,
+      endsAt: this.startTime ? this.sessionEndsAt() : null,
+      extraTime: this.extraTime,
+      votingRound: this.votingRounds,
+      votingRoundCount: this.rules.votingRoundMinutes.length,
+      votingClosesAt: this.votingClosesAt,
+      turnout: this.votingPhase ? this.getTurnout() : null,
+      participants: Array.from(this.participants.values())
+        .map(p => ({
+          number: p.number,
+          connected: p.connected,
+          joinedAt: p.joinedAt,
+          inPrivateSection: p.inPrivateSection,
+          usage: this.usage.get(p.authorId) || { items: 0, points: 0 }
+        }))
+        .sort((a, b) => a.number - b.number),
+      sections: this.getSections(),
+      pendingInvites: this.pendingInvites.size,
+      canvas: {
+        ...this.totalUsage,
+        maxItems: this.rules.maxItemsPerRoom,
+        maxPoints: this.rules.maxPointsPerRoom
+      }
     };
   }
 
@@ -283,13 +2148,424 @@ class Room {
   }
 }
 
-const room = new Room();
+const room = new Room(RULES);
+room.restore(store.load());
+
+// Canvas export. Text width isn't known on the server, so it is estimated
+// from the font size when working out the extent of the drawing
+function getItemBounds(item) {
+  if (item.type === 'text') {
+    const fontSize = item.fontSize || 16;
+    return {
+      minX: item.x,
+      minY: item.y - fontSize,
+      maxX: item.x + String(item.text).length * fontSize * 0.6,
+      maxY: item.y + fontSize * 0.25
+    };
+  }
+  if (item.type === 'draw' && item.pathPoints && item.pathPoints.length > 0) {
+    return item.pathPoints.reduce((b, p) => ({
+      minX: Math.min(b.minX, p.x),
+      minY: Math.min(b.minY, p.y),
+      maxX: Math.max(b.maxX, p.x),
+      maxY: Math.max(b.maxY, p.y)
+    }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+  }
+  if (item.type === 'shape') {
+    const bounds = shapeBounds(item);
+    return { minX: bounds.x, minY: bounds.y, maxX: bounds.x + bounds.width, maxY: bounds.y + bounds.height };
+  }
+  return null;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function renderCanvasSvg(items) {
+  const padding = 20;
+  const bounds = items.map(getItemBounds).filter(b => b);
+  const minX = bounds.length > 0 ? Math.min(...bounds.map(b => b.minX)) - padding : 0;
+  const minY = bounds.length > 0 ? Math.min(...bounds.map(b => b.minY)) - padding : 0;
+  const maxX = bounds.length > 0 ? Math.max(...bounds.map(b => b.maxX)) + padding : 100;
+  const maxY = bounds.length > 0 ? Math.max(...bounds.map(b => b.maxY)) + padding : 100;
+  const width = maxX - minX;
+  const height = maxY - minY;
+
+  const elements = items.map(item => {
+    if (item.type === 'draw' && item.pathPoints && item.pathPoints.length > 0) {
+      const d = strokePathData(item.pathPoints);
+      const style = { ...DEFAULT_STYLE, ...sanitiseStyle(item) };
+      return `<path d="${d}" fill="none" stroke="${style.color}" stroke-width="${style.width}" stroke-opacity="${style.opacity}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
+    if (item.type === 'shape') {
+      const style = { ...DEFAULT_STYLE, ...sanitiseStyle(item) };
+      const stroke = `fill="none" stroke="${style.color}" stroke-width="${style.width}" stroke-opacity="${style.opacity}" stroke-linecap="round" stroke-linejoin="round"`;
+      const { x1, y1, x2, y2 } = item;
+      if (item.shape === 'rect') {
+        const b = shapeBounds(item);
+        return `<rect x="${b.x}" y="${b.y}" width="${b.width}" height="${b.height}" ${stroke}/>`;
+      }
+      if (item.shape === 'ellipse') {
+        return `<ellipse cx="${(x1 + x2) / 2}" cy="${(y1 + y2) / 2}" rx="${Math.abs(x2 - x1) / 2}" ry="${Math.abs(y2 - y1) / 2}" ${stroke}/>`;
+      }
+      if (item.shape === 'arrow') {
+        // Same arrowhead as the canvas drawing in public/render.js
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+        const length = Math.max(10, style.width * 4);
+        const [left, right] = [-1, 1].map(side => ({
+          x: x2 - length * Math.cos(angle + side * Math.PI / 6),
+          y: y2 - length * Math.sin(angle + side * Math.PI / 6)
+        }));
+        return `<path d="M${x1} ${y1} L${x2} ${y2} M${left.x} ${left.y} L${x2} ${y2} L${right.x} ${right.y}" ${stroke}/>`;
+      }
+      return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke}/>`;
+    }
+    if (item.type === 'text') {
+      const style = { ...DEFAULT_STYLE, ...sanitiseStyle(item) };
+      return `<text x="${item.x}" y="${item.y}" font-size="${style.fontSize}" fill="${style.color}" fill-opacity="${style.opacity}">${escapeXml(item.text)}</text>`;
+    }
+    return '';
+  }).filter(e => e);
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${width} ${height}" width="${width}" height="${height}">`,
+    `<rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="#0a0a0a"/>`,
+    `<g font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif">`,
+    ...elements,
+    '</g>',
+    '</svg>'
+  ].join('\n');
+}
+
+// Private section content is only exported for that section's members, who
+// identify themselves with their session token
+// The token from an `Authorization: Bearer <token>` header, or null
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+app.get('/export.svg', (req, res) => {
+  if (!EXPORT_ENABLED) {
+    res.status(404).send('Export is not enabled');
+    return;
+  }
+
+  // The session token can reclaim a seat, so it comes in a header rather than
+  // the URL, where logs and browser history would keep it
+  const token = bearerToken(req);
+  const participant = token ? room.findParticipantByToken(token) : null;
+  const items = room.canvasData.filter(item =>
+    !item.sectionId ||
+    !room.privateSections.has(item.sectionId) ||
+    (participant && participant.inPrivateSection === item.sectionId)
+  );
+
+  res.type('image/svg+xml');
+  res.set('Content-Disposition', 'attachment; filename="interaction-atlas.svg"');
+  res.send(renderCanvasSvg(items));
+});
+
+// Session recordings for the replay viewer. Content drawn inside a private
+// section is left out unless the section closed during the session, at which
+// point it became public; the viewer keeps it hidden until then
+function redactSession(events) {
+  const closedSections = new Set(events.filter(e => e.type === 'sectionClosed').map(e => e.sectionId));
+  const isPublic = item => !item.sectionId || closedSections.has(item.sectionId);
+  const hiddenPaths = new Set();
+
+  return events.reduce((redacted, event) => {
+    if (event.type !== 'canvas') {
+      redacted.push(event);
+    } else if (event.op === 'add') {
+      if (isPublic(event.item)) {
+        redacted.push(event);
+      } else if (event.item.pathId) {
+        hiddenPaths.add(event.item.pathId);
+      }
+    } else if (event.op === 'points' || event.op === 'point') {
+      if (!hiddenPaths.has(event.pathId)) redacted.push(event);
+    } else if (event.op === 'update') {
+      // Moved, resized and simplified items carry all their points again
+      const items = event.items.filter(isPublic);
+      if (items.length > 0) redacted.push({ ...event, items });
+    } else {
+      redacted.push(event);
+    }
+    return redacted;
+  }, []);
+}
+
+// Published ballots of a closed round, so voters who missed the end of the
+// round can still check their receipts
+app.get('/votes/:round', (req, res) => {
+  const published = room.publishedRounds.get(Number(req.params.round));
+  if (!room.rules.verifiableVoting || !published) {
+    res.status(404).json({ error: 'No published ballots for that round' });
+    return;
+  }
+  res.json(published);
+});
+
+app.get('/sessions', (req, res) => {
+  if (!REPLAY_ENABLED) {
+    res.status(404).json({ error: 'Replay is not enabled' });
+    return;
+  }
+  res.json({ sessions: store.listSessions() });
+});
+
+app.get('/sessions/:sessionId', (req, res) => {
+  if (!REPLAY_ENABLED) {
+    res.status(404).json({ error: 'Replay is not enabled' });
+    return;
+  }
+
+  const events = /^\d+$/.test(req.params.sessionId) ? store.readSession(req.params.sessionId) : null;
+  if (!events) {
+    res.status(404).json({ error: 'Unknown session' });
+    return;
+  }
+  res.json({ sessionId: Number(req.params.sessionId), events: redactSession(events) });
+});
+
+// Facilitator console. Every request carries the admin token as a bearer
+// token, and every action is logged to the console, the list the console
+// shows and, when replay is on, the session recording
+const ADMIN_LOG_LENGTH = 200;
+const adminLog = [];
+
+function isAdminToken(token) {
+  // Hashing first makes the comparison constant-time whatever the lengths
+  const given = crypto.createHash('sha256').update(String(token)).digest();
+  const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  return crypto.timingSafeEqual(given, expected);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: 'The admin console is not enabled' });
+    return;
+  }
+
+  const token = bearerToken(req);
+  if (!token || !isAdminToken(token)) {
+    console.warn(`Admin request with a bad token from ${req.ip}: ${req.method} ${req.originalUrl}`);
+    res.status(401).json({ error: 'Invalid admin token' });
+    return;
+  }
+  next();
+}
+
+function logAdminAction(req, action, details = {}) {
+  const entry = { at: Date.now(), action, ...details, from: req.ip };
+  console.log(`Admin ${action} from ${req.ip}`, JSON.stringify(details));
+  adminLog.push(entry);
+  if (adminLog.length > ADMIN_LOG_LENGTH) adminLog.shift();
+  room.record('admin', { action, ...details });
+}
+
+const ADMIN_SCHEMAS = {
+  extendSession: { minutes: field.number(1, 24 * 60) },
+  wipeRegion: {
+    x: coordinate,
+    y: coordinate,
+    width: field.number(1, 2 * MAX_COORDINATE),
+    height: field.number(1, 2 * MAX_COORDINATE)
+  }
+};
+
+// Runs an action and logs it if it went through. An action returns an error
+// message for a bad request, false when it does not apply to the room as it
+// is now, and otherwise true or the details to log
+function adminAction(action, run) {
+  return (req, res) => {
+    const result = run(req);
+    if (typeof result === 'string') {
+      res.status(400).json({ error: result });
+      return;
+    }
+    if (result === false) {
+      res.status(409).json({ error: `Cannot ${action} now` });
+      return;
+    }
+    logAdminAction(req, action, result === true ? {} : result);
+    res.json({ success: true, room: room.getAdminState() });
+  };
+}
+
+app.get('/admin', (req, res) => {
+  if (!ADMIN_TOKEN) {
+    res.status(404).send('The admin console is not enabled');
+    return;
+  }
+  res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+});
+
+app.use('/admin/api', requireAdmin);
+
+app.get('/admin/api/state', (req, res) => {
+  res.json({
+    room: room.getAdminState(),
+    connections: io.engine.clientsCount,
+    rules: room.rules,
+    log: adminLog
+  });
+});
+
+app.post('/admin/api/voting/start', adminAction('start voting', () => {
+  return room.startNextVotingRound() && { round: room.votingRounds };
+}));
+
+app.post('/admin/api/voting/end', adminAction('end voting', () => {
+  const round = room.votingRounds;
+  return room.endVotingRound() && { round };
+}));
+
+app.post('/admin/api/voting/skip', adminAction('skip voting', () => {
+  const round = room.votingRounds;
+  return room.endVotingRound({ skipped: true }) && { round };
+}));
+
+app.post('/admin/api/session/extend', adminAction('extend session', req => {
+  const parsed = parsePayload(req.body, ADMIN_SCHEMAS.extendSession);
+  if (parsed.error) return parsed.error;
+  return room.extendSession(parsed.value.minutes) && { minutes: parsed.value.minutes };
+}));
+
+app.post('/admin/api/participants/:number/remove', adminAction('remove participant', req => {
+  const number = Number(req.params.number);
+  if (!room.participantByNumber(number)) return 'No participant has that number';
+  return room.expelParticipant(number) && { number };
+}));
+
+app.post('/admin/api/canvas/wipe', adminAction('wipe region', req => {
+  const parsed = parsePayload(req.body, ADMIN_SCHEMAS.wipeRegion);
+  if (parsed.error) return parsed.error;
+  const { x, y, width, height } = parsed.value;
+  const removed = room.wipeRegion({ minX: x, minY: y, maxX: x + width, maxY: y + height });
+  return { region: parsed.value, removed };
+}));
+
+app.post('/admin/api/close', adminAction('close room', () => room.closeRoom()));
+
+// A reset skips the closing phase, so clients are told the room closed
+// here. It is logged first, while the session it ends is still recording
+app.post('/admin/api/reset', (req, res) => {
+  logAdminAction(req, 'reset room');
+  io.emit('roomClosed');
+  room.resetRoom();
+  res.json({ success: true, room: room.getAdminState() });
+});
+
+// Canvas operations go to the log as they happen; the rest of the room is
+// snapshotted when it changes, or when the log has grown long
+function persistRoom() {
+  store.flush();
+  if (room.dirty || store.logLength > MAX_LOG_LENGTH) {
+    store.saveSnapshot(room.toJSON());
+    room.dirty = false;
+  }
+}
+
+setInterval(persistRoom, PERSIST_INTERVAL);
+
+// Render sends SIGTERM before stopping the process on a redeploy
+['SIGTERM', 'SIGINT'].forEach(signal => {
+  process.on(signal, () => {
+    console.log(`${signal} received, saving room state`);
+    store.saveSnapshot(room.toJSON());
+    process.exit(0);
+  });
+});
+
+// The client's address as Express gives it in req.ip, following the proxies
+// that TRUST_PROXY says to trust
+function clientAddress(request) {
+  const trust = app.get('trust proxy fn');
+  const forwarded = String(request.headers['x-forwarded-for'] || '')
+    .split(',').map(address => address.trim()).filter(Boolean).reverse();
+  const addresses = [request.socket.remoteAddress, ...forwarded];
+  let hop = 0;
+  while (hop < addresses.length - 1 && trust(addresses[hop], hop)) hop++;
+  return addresses[hop];
+}
+
+function sendJoined(socket, participant, resumed) {
+  socket.emit('joined', {
+    number: participant.number,
+    authorId: participant.authorId,
+    sessionToken: createSessionToken(participant),
+    rules: room.rules,
+    exportEnabled: EXPORT_ENABLED,
+    resumed,
+    inPrivateSection: participant.inPrivateSection,
+    roomState: room.getRoomState(),
+    // Someone who voted and then reconnected sees their ballot again
+    vote: room.votes.has(participant.socketId) ? {
+      votedNumbers: Array.from(room.votes.get(participant.socketId), id => room.participants.get(id))
+        .filter(Boolean).map(p => p.number),
+      receipt: room.ballots.get(participant.socketId)
+    } : null,
+    canvasData: room.canvasData
+  });
+  room.emitHistory(participant);
+}
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
-  socket.on('join', ({ ageVerified }) => {
+  // Events over the connection's budget are dropped, with a failed
+  // acknowledgement for those that asked for one
+  const limiter = new RateLimiter(room.rules.rateLimits);
+  socket.use(([event, ...args], next) => {
+    if (limiter.take(event)) return next();
+
+    const callback = args[args.length - 1];
+    if (typeof callback === 'function') callback({ success: false, error: 'Too many requests' });
+    sendLimitNotice(socket, 'rate');
+  });
+
+  socket.on('join', (data) => {
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.join);
+    if (parsed.error) {
+      socket.emit('joinFailed', { reason: 'invalid_request', error: parsed.error });
+      return;
+    }
+    const { ageVerified, sessionToken } = parsed.value;
+
+    const address = clientAddress(socket.request);
+    if (room.expelledAddresses.has(address)) {
+      socket.emit('joinFailed', { reason: 'removed' });
+      return;
+    }
+
+    // A returning participant gets their reserved seat back, even after joining has closed
+    if (sessionToken) {
+      const resumed = room.resumeParticipant(socket.id, sessionToken);
+      if (!resumed) {
+        socket.emit('joinFailed', { reason: 'session_expired' });
+        return;
+      }
+
+      // Only one connection per seat: a stale tab loses it to the new one
+      if (resumed.previousSocketId !== socket.id) {
+        const previousSocket = io.sockets.sockets.get(resumed.previousSocketId);
+        if (previousSocket) previousSocket.disconnect(true);
+      }
+
+      resumed.participant.address = address;
+      sendJoined(socket, resumed.participant, true);
+      return;
+    }
+
     const participant = room.addParticipant(socket.id, ageVerified);
     
     if (!participant) {
@@ -298,12 +2574,9 @@ io.on('connection', (socket) => {
       });
       return;
     }
+    participant.address = address;
 
-    socket.emit('joined', {
-      number: participant.number,
-      roomState: room.getRoomState(),
-      canvasData: room.canvasData
-    });
+    sendJoined(socket, participant, false);
 
     // Notify others
     socket.broadcast.emit('participantJoined', {
@@ -311,114 +2584,298 @@ io.on('connection', (socket) => {
     });
   });
 
-  socket.on('canvasAction', (action) => {
+  socket.on('canvasAction', (data, callback) => {
+    const respond = acknowledge(callback);
     const participant = room.participants.get(socket.id);
-    if (!participant) return;
+    if (!participant) return respond({ success: false });
+
+    const parsed = parseCanvasAction(data);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
 
     // Add timestamp and participant info
+    const action = parsed.value;
     action.timestamp = Date.now();
     action.participantNumber = participant.number;
+    action.authorId = participant.authorId;
+    if (action.id && room.canvasIndex.get(action.id)) {
+      return respond({ success: false, error: 'id is already in use' });
+    }
     if (!action.id) {
       action.id = `${socket.id}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    // Store complete paths for drawing
-    if (action.type === 'draw' && action.pathId) {
-      let pathItem = room.canvasData.find(item => item.pathId === action.pathId && item.participantNumber === participant.number);
-      
-      if (!pathItem) {
+    if (action.action !== 'end') {
+      const quota = room.quotaExceeded(participant.authorId, 1, action.type === 'draw' ? 1 : 0);
+      if (quota) {
+        sendLimitNotice(socket, quota);
+        return respond({ success: false, error: 'Canvas quota reached' });
+      }
+    }
+
+    // Paths are started and ended here; their points come in strokePoints
+    if (action.type === 'draw') {
+      if (action.action === 'start') {
+        if (room.canvasIndex.get(action.pathId)) {
+          return respond({ success: false, error: 'pathId is already in use' });
+        }
+        if (!room.canActAt(socket.id, action.x, action.y)) return respond({ success: false });
+        action.sectionId = room.sectionAt(action.x, action.y);
+        Object.assign(action, sanitiseStyle(action));
+
         // First point of path - create new path item
-        pathItem = {
+        const pathItem = {
           ...action,
           pathPoints: [{ x: action.x, y: action.y }]
         };
-        room.canvasData.push(pathItem);
-      } else {
-        // Update existing path
-        if (!pathItem.pathPoints) {
-          pathItem.pathPoints = [];
+        room.addItem(pathItem);
+        room.livePaths.set(action.pathId, pathItem);
+        room.logCanvasOperation({ op: 'add', item: pathItem });
+        room.pushHistory(participant, { type: 'add', removed: [], added: [pathItem] });
+      } else if (action.action === 'end') {
+        const pathItem = room.livePaths.get(action.pathId);
+        if (!pathItem || pathItem.authorId !== participant.authorId) return respond({ success: false });
+
+        // Everyone gets the last points before the end, then swaps their raw
+        // copy of the stroke for the simplified one. A stroke that lost points
+        // is sent again even when simplifying leaves it as it was, as its
+        // author still shows them
+        room.flushStrokes();
+        room.livePaths.delete(action.pathId);
+        const trimmed = room.trimmedPaths.delete(action.pathId);
+        const pathPoints = simplifyPoints(pathItem.pathPoints || [], SIMPLIFY_TOLERANCE);
+        if (trimmed || pathPoints.length < (pathItem.pathPoints || []).length) {
+          room.replaceItems([{ ...pathItem, pathPoints }]);
         }
-        pathItem.pathPoints.push({ x: action.x, y: action.y });
       }
     } else if (action.type === 'text') {
+      if (!room.canActAt(socket.id, action.x, action.y)) return respond({ success: false });
+      action.sectionId = room.sectionAt(action.x, action.y);
+      Object.assign(action, sanitiseStyle(action));
+
       // Text items are complete, just add them
-      room.canvasData.push(action);
+      room.addItem(action);
+      room.logCanvasOperation({ op: 'add', item: action });
+      room.pushHistory(participant, { type: 'add', removed: [], added: [action] });
+    } else {
+      if (!room.canPlaceShape(socket.id, action)) return respond({ success: false });
+      action.sectionId = room.sectionAt(action.x1, action.y1);
+      Object.assign(action, sanitiseStyle(action));
+
+      room.addItem(action);
+      room.logCanvasOperation({ op: 'add', item: action });
+      room.pushHistory(participant, { type: 'add', removed: [], added: [action] });
     }
     
-    // Broadcast to all (they'll filter based on private sections on client)
+    // Everyone sees section content; only members can change it
     io.emit('canvasUpdate', action);
+    respond({ success: true });
   });
 
-  socket.on('erase', (data) => {
+  // Points of a stroke being drawn, delta-encoded and batched by the client
+  socket.on('strokePoints', (data, callback) => {
+    const respond = acknowledge(callback);
     const participant = room.participants.get(socket.id);
-    if (!participant) return;
+    if (!participant) return respond({ success: false });
 
-    const eraseRadius = data.eraseRadius || 20;
-    const itemsToRemove = [];
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.strokePoints);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
 
-    // Find items to remove
-    room.canvasData.forEach((item, index) => {
-      if (item.type === 'text') {
-        // For text, check if eraser is near the text position
-        const distance = Math.sqrt(Math.pow(item.x - data.x, 2) + Math.pow(item.y - data.y, 2));
-        if (distance < eraseRadius) {
-          itemsToRemove.push(index);
-        }
-      } else if (item.type === 'draw' && item.pathId) {
-        // For paths, check if eraser is near any point in the path
-        if (item.pathPoints && item.pathPoints.length > 0) {
-          for (let i = 0; i < item.pathPoints.length; i++) {
-            const distance = Math.sqrt(Math.pow(item.pathPoints[i].x - data.x, 2) + Math.pow(item.pathPoints[i].y - data.y, 2));
-            if (distance < eraseRadius) {
-              itemsToRemove.push(index);
-              break;
-            }
-          }
+    const { pathId } = parsed.value;
+    const pathItem = room.livePaths.get(pathId);
+    if (!pathItem || pathItem.authorId !== participant.authorId) return respond({ success: false });
+
+    // Steps can add up to somewhere off the canvas, so the points themselves are checked too
+    const points = decodePoints(parsed.value.points);
+    if (!points) return respond({ success: false, error: 'points must be x, y pairs' });
+    if (!points.every(point => Math.abs(point.x) <= MAX_COORDINATE && Math.abs(point.y) <= MAX_COORDINATE)) {
+      return respond({ success: false, error: `points must lie between -${MAX_COORDINATE} and ${MAX_COORDINATE}` });
+    }
+
+    // A path cannot cross into or out of a section's region, or go past the quotas
+    const inSection = points.filter(point => room.sectionAt(point.x, point.y) === pathItem.sectionId);
+    const accepted = inSection.slice(0, room.pointAllowance(participant.authorId));
+    if (accepted.length < inSection.length) {
+      sendLimitNotice(socket, room.quotaExceeded(participant.authorId, 0, inSection.length - accepted.length));
+    }
+    if (accepted.length === 0) return respond({ success: false });
+    // The author still shows the points left out, until the stroke ends
+    if (accepted.length < points.length) room.trimmedPaths.add(pathId);
+
+    // The batch is logged as one operation, in the same encoding it arrived in
+    accepted.forEach(point => room.addPathPoint(pathItem, point));
+    room.logCanvasOperation({ op: 'points', pathId, points: encodePoints(accepted) });
+    room.queueStrokePoints(pathId, accepted);
+    respond({ success: true });
+  });
+
+  socket.on('erase', (data, callback) => {
+    const respond = acknowledge(callback);
+    const participant = room.participants.get(socket.id);
+    if (!participant) return respond({ success: false });
+
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.erase);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
+
+    // Touches are batched by the client; they are applied in order, exactly
+    // as the client applied them to its own copy
+    const { points, precise, eraseId } = parsed.value;
+    const eraseRadius = parsed.value.eraseRadius || 20;
+    const canModify = item => room.canModifyItem(socket.id, item);
+
+    // Pieces cut off by an earlier touch in the batch can be cut again
+    const removed = new Map();
+    const added = new Map();
+    points.forEach(point => {
+      const candidates = room.canvasIndex.near(point.x, point.y, eraseRadius)
+        .filter(item => !removed.has(itemId(item)))
+        .concat(Array.from(added.values()));
+      const touch = eraseItems(candidates, point.x, point.y, eraseRadius, !!precise, canModify);
+      touch.removed.forEach(item => {
+        if (added.has(itemId(item))) {
+          added.delete(itemId(item));
+        } else {
+          removed.set(itemId(item), item);
         }
-      }
+      });
+      touch.pieces.forEach(item => added.set(itemId(item), item));
     });
 
-    // Remove items in reverse order to maintain indices
-    itemsToRemove.reverse().forEach(index => {
-      room.canvasData.splice(index, 1);
-    });
+    const removedItems = Array.from(removed.values());
+    const pieces = Array.from(added.values());
+
+    // Cutting a path in two leaves one more item on the canvas
+    const quota = room.quotaExceededBy(removedItems, pieces);
+    if (quota) {
+      sendLimitNotice(socket, quota);
+      return respond({ success: false, error: 'Canvas quota reached' });
+    }
 
-    if (itemsToRemove.length > 0) {
-      io.emit('canvasErase', { ...data, eraseRadius });
+    // Clients remove exactly what the server erased instead of re-running the
+    // hit test, so content the caller may not touch is never removed
+    if (removedItems.length > 0) room.removeItems(removedItems.map(itemId));
+    if (pieces.length > 0) room.restoreItems(pieces);
+    if (removedItems.length > 0 || pieces.length > 0) {
+      room.recordErase(participant, removedItems, pieces, eraseId);
     }
+    respond({ success: true });
+  });
+
+  // Undo and redo only ever touch the caller's own actions
+  socket.on('undo', () => {
+    room.undo(socket.id);
+  });
+
+  socket.on('redo', () => {
+    room.redo(socket.id);
+  });
+
+  // Moving, resizing and deleting selected items. The server checks that
+  // they belong to the caller and stay within their section's rules
+  socket.on('transformItems', (data, callback) => {
+    const respond = acknowledge(callback);
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.transformItems);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
+
+    const { ids, transform } = parsed.value;
+    respond({ success: room.transformItems(socket.id, ids, transform) });
   });
 
-  socket.on('vote', ({ votedNumbers }) => {
-    const success = room.submitVote(socket.id, votedNumbers);
+  socket.on('deleteItems', (data, callback) => {
+    const respond = acknowledge(callback);
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.deleteItems);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
+
+    respond({ success: room.deleteItems(socket.id, parsed.value.ids) });
+  });
+
+  socket.on('vote', (data, callback) => {
+    const respond = acknowledge(callback);
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.vote);
+    if (parsed.error) {
+      socket.emit('voteSubmitted', { success: false });
+      return respond({ success: false, error: parsed.error });
+    }
+
+    // In verifiable voting the voter keeps a receipt to check against the published ballots
+    const success = room.submitVote(socket.id, parsed.value.votedNumbers);
+    const receipt = success ? room.ballots.get(socket.id) : undefined;
     socket.emit('voteSubmitted', { success });
+    respond({ success, receipt });
   });
 
-  socket.on('createPrivateSection', ({ inviteeNumbers }, callback) => {
-    const section = room.createPrivateSection(socket.id, inviteeNumbers);
-    if (section) {
-      // Notify all members
-      section.members.forEach(memberId => {
-        io.to(memberId).emit('privateSectionCreated', {
-          sectionId: section.sectionId,
-          members: section.members.map(id => {
-            const p = room.participants.get(id);
-            return p ? p.number : null;
-          }).filter(n => n !== null)
-        });
+  socket.on('createPrivateSection', (data, callback) => {
+    const respond = acknowledge(callback);
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.createPrivateSection);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
+
+    // The section only forms once the invitees accept
+    const { inviteeNumbers, region } = parsed.value;
+    const invite = room.proposePrivateSection(socket.id, inviteeNumbers, region);
+    if (invite) {
+      respond({
+        success: true,
+        inviteId: invite.inviteId,
+        expiresAt: invite.expiresAt,
+        responses: room.getInviteResponses(invite)
+      });
+    } else {
+      respond({ success: false });
+    }
+  });
+
+  socket.on('inviteToPrivateSection', (data, callback) => {
+    const respond = acknowledge(callback);
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.inviteToPrivateSection);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
+
+    const invite = room.proposeSectionInvite(socket.id, parsed.value.inviteeNumbers);
+    if (invite) {
+      respond({
+        success: true,
+        inviteId: invite.inviteId,
+        expiresAt: invite.expiresAt,
+        responses: room.getInviteResponses(invite)
       });
-      
-      callback({ success: true, sectionId: section.sectionId });
     } else {
-      callback({ success: false });
+      respond({ success: false });
     }
   });
 
+  socket.on('leavePrivateSection', (data, callback) => {
+    const participant = room.participants.get(socket.id);
+    const success = !!participant && !!participant.inPrivateSection &&
+      room.leavePrivateSection(socket.id, participant.inPrivateSection);
+    acknowledge(callback)({ success });
+  });
+
+  socket.on('dissolvePrivateSection', (data, callback) => {
+    const success = room.dissolvePrivateSection(socket.id);
+    acknowledge(callback)({ success });
+  });
+
+  socket.on('respondToSectionInvite', (data, callback) => {
+    const respond = acknowledge(callback);
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.respondToSectionInvite);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
+
+    const { inviteId, accept } = parsed.value;
+    respond({ success: room.respondToInvite(socket.id, inviteId, accept) });
+  });
+
+  socket.on('cancelSectionInvite', (data, callback) => {
+    const respond = acknowledge(callback);
+    const parsed = parsePayload(data, PAYLOAD_SCHEMAS.cancelSectionInvite);
+    if (parsed.error) return respond({ success: false, error: parsed.error });
+
+    respond({ success: room.cancelInvite(socket.id, parsed.value.inviteId) });
+  });
+
   socket.on('getParticipants', (data, callback) => {
     const participants = Array.from(room.participants.values()).map(p => ({
       number: p.number,
       inPrivateSection: p.inPrivateSection
     }));
-    callback(participants);
+    acknowledge(callback)(participants);
   });
 
   socket.on('getAvailableParticipants', (data, callback) => {
@@ -428,22 +2885,17 @@ io.on('connection', (socket) => {
         number: p.number,
         inPrivateSection: p.inPrivateSection
       }));
-    callback(participants);
+    acknowledge(callback)(participants);
   });
 
   socket.on('getParticipantCount', (data, callback) => {
-    callback(room.participants.size);
+    acknowledge(callback)(room.participants.size);
   });
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
-    const participant = room.participants.get(socket.id);
-    if (participant) {
-      room.removeParticipant(socket.id);
-      socket.broadcast.emit('participantLeft', {
-        number: participant.number
-      });
-    }
+    // The seat is held so the participant can reconnect; it is released if they don't
+    room.reserveSeat(socket.id);
   });
 });
 
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Keeps the room on disk as a JSON snapshot plus an append-only log of the
+// canvas operations made since that snapshot. Canvas operations are frequent,
+// so they are appended to the log; everything else is captured by snapshots.
+class RoomStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.snapshotPath = path.join(dir, 'room-snapshot.json');
+    this.logPath = path.join(dir, 'room-log.jsonl');
+    this.pending = []; // serialised log lines not yet written
+    this.seq = 0; // sequence number of the last logged operation
+    this.logLength = 0; // operations in the log since the last snapshot
+    this.sessionsDir = path.join(dir, 'sessions');
+    this.pendingEvents = new Map(); // sessionId -> serialised events not yet written
+
+    fs.mkdirSync(this.sessionsDir, { recursive: true });
+  }
+
+  // Returns { snapshot, operations } or null when nothing has been saved yet
+  load() {
+    let snapshot = null;
+    if (fs.existsSync(this.snapshotPath)) {
+      snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+    }
+
+    // Operations already folded into the snapshot are skipped, in case the
+    // server stopped between writing a snapshot and truncating the log
+    const lastSeq = snapshot ? snapshot.seq : 0;
+    const operations = [];
+    if (fs.existsSync(this.logPath)) {
+      fs.readFileSync(this.logPath, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) return;
+        try {
+          const op = JSON.parse(line);
+          if (op.seq > lastSeq) operations.push(op);
+        } catch (err) {
+          // A torn last line from a crash mid-write
+        }
+      });
+    }
+
+    this.seq = operations.length > 0 ? operations[operations.length - 1].seq : lastSeq;
+    this.logLength = operations.length;
+
+    if (!snapshot && operations.length === 0) return null;
+    return { snapshot: snapshot ? snapshot.room : null, operations };
+  }
+
+  // Operations are serialised immediately: the objects they refer to keep changing
+  append(op) {
+    this.pending.push(JSON.stringify({ seq: ++this.seq, ...op }));
+  }
+
+  flush() {
+    this.pendingEvents.forEach((lines, sessionId) => {
+      fs.appendFileSync(this.sessionPath(sessionId), lines.join('\n') + '\n');
+    });
+    this.pendingEvents.clear();
+
+    if (this.pending.length === 0) return;
+    fs.appendFileSync(this.logPath, this.pending.join('\n') + '\n');
+    this.logLength += this.pending.length;
+    this.pending = [];
+  }
+
+  // Writes a full snapshot and starts a fresh log
+  saveSnapshot(room) {
+    this.flush();
+
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ seq: this.seq, savedAt: Date.now(), room }));
+    fs.renameSync(tmpPath, this.snapshotPath);
+
+    fs.writeFileSync(this.logPath, '');
+    this.logLength = 0;
+  }
+
+  // Session recordings are kept for good, one event log per session, unlike
+  // the room log which is folded into the next snapshot
+  sessionPath(sessionId) {
+    return path.join(this.sessionsDir, `${sessionId}.jsonl`);
+  }
+
+  record(sessionId, event) {
+    if (!this.pendingEvents.has(sessionId)) this.pendingEvents.set(sessionId, []);
+    this.pendingEvents.get(sessionId).push(JSON.stringify(event));
+  }
+
+  // Newest first
+  listSessions() {
+    return fs.readdirSync(this.sessionsDir)
+      .filter(name => /^\d+\.jsonl$/.test(name))
+      .map(name => Number(name.slice(0, -'.jsonl'.length)))
+      .sort((a, b) => b - a);
+  }
+
+  // Returns the recorded events, or null for an unknown session
+  readSession(sessionId) {
+    const sessionPath = this.sessionPath(sessionId);
+    if (!fs.existsSync(sessionPath)) return null;
+
+    const events = [];
+    fs.readFileSync(sessionPath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        events.push(JSON.parse(line));
+      } catch (err) {
+        // A torn last line from a crash mid-write
+      }
+    });
+    (this.pendingEvents.get(sessionId) || []).forEach(line => events.push(JSON.parse(line)));
+    return events;
+  }
+
+  // Secrets that have to outlive a restart, such as the session signing key
+  readOrCreateSecret(name) {
+    const secretPath = path.join(this.dir, name);
+    if (fs.existsSync(secretPath)) {
+      return fs.readFileSync(secretPath, 'utf8').trim();
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+module.exports = { RoomStore };